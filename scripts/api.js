@@ -1,4 +1,21 @@
-import { world } from "mojang-minecraft";
+import {
+  world,
+  BlockLocation,
+  Location,
+  Entity,
+  EntityQueryOptions,
+  Player,
+  MinecraftBlockTypes,
+  MinecraftEnchantmentTypes,
+  InventoryComponentContainer,
+  EnchantmentList,
+} from "mojang-minecraft";
+// @ts-ignore
+import {
+  ActionFormData,
+  MessageFormData,
+  ModalFormData,
+} from "mojang-minecraft-ui";
 /**
  * Minecraft Bedrock Gametest Database
  * @license MIT
@@ -16,16 +33,6 @@ import { world } from "mojang-minecraft";
  */
 const MAX_DATABASE_STRING_SIZE = 32000;
 
-/**
- * Splits a string into chunk sizes
- * @param {string} str string to split
- * @param {number} length length of string
- * @returns {Array<string>}
- */
-function chunkString(str, length) {
-  return str.match(new RegExp(".{1," + length + "}", "g"));
-}
-
 /**
  * Runs a Command
  * @param {string} command a minecraft /command
@@ -33,7 +40,7 @@ function chunkString(str, length) {
  * @param {boolean} debug: true console logs the command, else it runs command
  * @example runCommand(`say test`)
  */
-function runCommand(command, dimension = "overworld", debug = false) {
+export function runCommand(command, dimension = "overworld", debug = false) {
   try {
     return debug
       ? console.warn(JSON.stringify(runCommand(command)))
@@ -45,20 +52,205 @@ function runCommand(command, dimension = "overworld", debug = false) {
 }
 
 /**
- * Convert string to binary
- * @param {String} text you want to trasnslate to binary
+ * Prefix put in front of base64 chunks that are pieces of one JSON string,
+ * chunks without it are from the old binary format. Both get migrated when
+ * read
+ */
+const ENCODING_TAG = "b64:";
+
+/**
+ * Prefix put in front of chunks saved as buckets. Every key is saved in the
+ * bucket its name hashes to, and each bucket is its own base64 JSON, so a
+ * change only rewrites the chunk that holds the key
+ */
+const BUCKET_TAG = "kv:";
+
+/**
+ * Room left in each chunk for the tag, generation, bucket count, length and
+ * checksum header
+ */
+const CHUNK_HEADER_SIZE = 48;
+
+/**
+ * Matches a chunk saved as b64:<length>:<checksum>:<data>, from before buckets
+ */
+const CHUNK_HEADER = new RegExp(`^${ENCODING_TAG}(\\d+):([0-9a-z]+):(.*)$`);
+
+/**
+ * Matches a bucket saved as kv:<generation>:<buckets>:<length>:<checksum>:<data>.
+ * The generation is the save that wrote it, a save only counts once its
+ * generation is set on DB_SAVE, so a write that stops part way is ignored
+ */
+const BUCKET_HEADER = new RegExp(
+  `^${BUCKET_TAG}(\\d+):(\\d+):(\\d+):([0-9a-z]+):(.*)$`
+);
+
+/**
+ * Gets a 32 bit FNV-1a hash of a string
+ * @param {String} text text to hash
+ * @returns {number}
+ */
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+/**
+ * Gets a 32 bit FNV-1a checksum of a string
+ * @param {String} text text to check
  * @returns {String}
  */
-function textToBinary(text) {
-  return text
-    .split("")
-    .map((char) => {
-      return char.charCodeAt(0).toString(2);
-    })
-    .join(" ");
+function checksum(text) {
+  return hash(text).toString(36);
+}
+
+/**
+ * Adds the bucket header to a bucket of base64 data
+ * @param {String} data base64 data
+ * @param {number} generation the save writing the bucket
+ * @param {number} buckets how many buckets the table has
+ * @returns {String}
+ */
+function encodeChunk(data, generation, buckets) {
+  return `${BUCKET_TAG}${generation}:${buckets}:${data.length}:${checksum(
+    data
+  )}:${data}`;
+}
+
+/**
+ * Gets the base64 data out of a saved chunk
+ * @param {String} chunk saved chunk
+ * @returns {String}
+ */
+function chunkData(chunk) {
+  return (
+    chunk.match(BUCKET_HEADER)?.[5] ??
+    chunk.match(CHUNK_HEADER)?.[3] ??
+    chunk.substring(ENCODING_TAG.length)
+  );
+}
+
+/**
+ * Gets the save a bucket was written by
+ * @param {String} chunk saved chunk
+ * @returns {number} NaN if the chunk is not a bucket
+ */
+function chunkGeneration(chunk) {
+  return parseInt(chunk.match(BUCKET_HEADER)?.[1]);
+}
+
+/**
+ * Gets a chunk without its generation, to tell if a bucket changed
+ * @param {String} chunk saved chunk
+ * @returns {String}
+ */
+function chunkContent(chunk) {
+  return chunk.replace(/^kv:\d+:/, "");
+}
+
+/**
+ * Checks a saved chunk against its length and checksum header
+ * @param {String} chunk saved chunk
+ * @returns {String | undefined} what is wrong with the chunk
+ */
+function verifyChunk(chunk) {
+  const header =
+    chunk.match(BUCKET_HEADER)?.slice(3) ?? chunk.match(CHUNK_HEADER)?.slice(1);
+  if (!header) return;
+  const [length, sum, data] = header;
+  if (data.length !== parseInt(length))
+    return `should be ${length} long but is ${data.length}`;
+  if (checksum(data) !== sum) return "failed its checksum";
+}
+
+/**
+ * The characters used by base64, in order of their value
+ */
+const BASE64_CHARS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * Convert string to base64, characters are stored as UTF-8 so all of unicode works
+ * @param {String} text you want to translate to base64
+ * @returns {String}
+ */
+function textToBase64(text) {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) bytes.push(code);
+    else if (code < 0x800) bytes.push(0xc0 | (code >> 6), 0x80 | (code & 63));
+    else if (code < 0x10000)
+      bytes.push(
+        0xe0 | (code >> 12),
+        0x80 | ((code >> 6) & 63),
+        0x80 | (code & 63)
+      );
+    else
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 63),
+        0x80 | ((code >> 6) & 63),
+        0x80 | (code & 63)
+      );
+  }
+  let base64 = "";
+  for (let i = 0; i < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] ?? 0) << 8) | (bytes[i + 2] ?? 0);
+    base64 +=
+      BASE64_CHARS[n >> 18] +
+      BASE64_CHARS[(n >> 12) & 63] +
+      (i + 1 < bytes.length ? BASE64_CHARS[(n >> 6) & 63] : "=") +
+      (i + 2 < bytes.length ? BASE64_CHARS[n & 63] : "=");
+  }
+  return base64;
+}
+
+/**
+ * Convert base64 to string
+ * @param {String} base64 the base64 that you want converted
+ * @returns {String}
+ */
+function base64ToText(base64) {
+  const chars = base64.replace(/=+$/, "");
+  const bytes = [];
+  for (let i = 0; i < chars.length; i += 4) {
+    const n =
+      (BASE64_CHARS.indexOf(chars[i]) << 18) |
+      (BASE64_CHARS.indexOf(chars[i + 1]) << 12) |
+      (Math.max(BASE64_CHARS.indexOf(chars[i + 2] ?? "A"), 0) << 6) |
+      Math.max(BASE64_CHARS.indexOf(chars[i + 3] ?? "A"), 0);
+    bytes.push(n >> 16);
+    if (i + 2 < chars.length) bytes.push((n >> 8) & 255);
+    if (i + 3 < chars.length) bytes.push(n & 255);
+  }
+  let text = "";
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    if (byte < 0x80) text += String.fromCodePoint(byte);
+    else if (byte < 0xe0)
+      text += String.fromCodePoint(((byte & 31) << 6) | (bytes[++i] & 63));
+    else if (byte < 0xf0)
+      text += String.fromCodePoint(
+        ((byte & 15) << 12) | ((bytes[++i] & 63) << 6) | (bytes[++i] & 63)
+      );
+    else
+      text += String.fromCodePoint(
+        ((byte & 7) << 18) |
+          ((bytes[++i] & 63) << 12) |
+          ((bytes[++i] & 63) << 6) |
+          (bytes[++i] & 63)
+      );
+  }
+  return text;
 }
+
 /**
- * Convert binary to string
+ * Convert binary to string, only used to read tables saved before base64
  * @param {String} binary the binary that you want converted
  * @returns {String}
  */
@@ -71,371 +263,4293 @@ function binaryToText(binary) {
     .join("");
 }
 
+/**
+ * Compares two record fields for sorting
+ * @param {any} a
+ * @param {any} b
+ * @param {boolean} [descending] sort from highest to lowest
+ * @returns {number}
+ */
+function compareFields(a, b, descending = false) {
+  return (a < b ? -1 : a > b ? 1 : 0) * (descending ? -1 : 1);
+}
+
+/**
+ * Tests if a record matches a query
+ * @param {any} record the stored value
+ * @param {string} key the key the record is stored under
+ * @param {Object | (value: any, key: string) => boolean} [where] fields the record must have, or a filter
+ * @returns {boolean}
+ */
+function matchesWhere(record, key, where) {
+  if (!where) return true;
+  if (typeof where === "function") return Boolean(where(record, key));
+  return Object.entries(where).every(([field, value]) => record?.[field] === value);
+}
+
+/**
+ * @typedef {Object} index
+ * @property {Map<any, Array<string>>} values keys of the records by field value
+ * @property {Array<string>} sorted keys of the records that have the field, by field value
+ * @property {Map<string, string>} records the records that have the field as JSON, so a query only parses the ones it returns
+ * @property {Object<string, expiry>} expiry expiry times of the table keys
+ */
+
+/**
+ * Builds a secondary index of a field over the table data
+ * @param {JSON} json table data, with expired keys still in it
+ * @param {string} field record field to index
+ * @param {Object<string, expiry>} [expiry] expiry times of the table keys
+ * @returns {index}
+ */
+function buildIndex(json, field, expiry = {}) {
+  const values = new Map();
+  const records = new Map();
+  for (const [key, record] of Object.entries(json)) {
+    const value = record?.[field];
+    if (value === undefined) continue;
+    if (!values.has(value)) values.set(value, []);
+    values.get(value).push(key);
+    records.set(key, JSON.stringify(record));
+  }
+  const sorted = [...values.keys()]
+    .sort(compareFields)
+    .flatMap((value) => values.get(value));
+  return { values, sorted, records, expiry };
+}
+
+/**
+ * Key the expiry times are saved under in a table, it is never returned as data
+ */
+const EXPIRY_KEY = "$expiry";
+
+/**
+ * Key the schema version is saved under in a table, it is never returned as data
+ */
+const VERSION_KEY = "$version";
+
+/**
+ * How often in ticks expired keys get deleted from storage
+ */
+const EXPIRY_SWEEP_INTERVAL = 20;
+
+/**
+ * The current world tick, used to time cached writes. This starts back at 0
+ * when the world loads
+ */
+let currentTick = 0;
+world.events.tick.subscribe((data) => (currentTick = data.currentTick));
+
+/**
+ * How many milliseconds a world tick lasts, tick ttls are saved in real time
+ * because the world tick starts back at 0 on every load
+ */
+const MS_PER_TICK = 50;
+
+/**
+ * @typedef {Object} expiry
+ * @property {number} at Date.now() time the key expires
+ */
+
+/**
+ * Tests if a key's expiry has passed
+ * @param {expiry} expiry
+ * @returns {boolean}
+ */
+function isExpired(expiry) {
+  return Date.now() >= expiry.at;
+}
+
+/**
+ * Tables that have keys with an expiry, cleaned up by the sweeper
+ * @type {Set<Database>}
+ */
+const EXPIRING_TABLES = new Set();
+
+/**
+ * If the sweeper interval has been started
+ */
+let sweeperStarted = false;
+
+/**
+ * Adds a table to the expiry sweeper, starting the sweeper the first time
+ * @param {Database} table table with expiring keys
+ */
+function watchExpiry(table) {
+  EXPIRING_TABLES.add(table);
+  if (sweeperStarted) return;
+  sweeperStarted = true;
+  setTickInterval(() => {
+    for (const table of EXPIRING_TABLES) table.sweep();
+  }, EXPIRY_SWEEP_INTERVAL);
+}
+
+/**
+ * @typedef {Object} writeJob
+ * @property {number} generation the save the chunks are written as
+ * @property {Array<{ index: number, data: string }>} memory the chunks being written
+ * @property {Array<number>} written the chunks written so far
+ */
+
+/**
+ * @typedef {Object} tableState
+ * @property {Set<Database>} TABLES every Database open on the table
+ * @property {Array<{ index: number, data: string }>} MEMORY the chunks saved in the world
+ * @property {Array<string>} CORRUPTED what is wrong with the saved chunks
+ * @property {JSON | null} CACHE the table as it is stored, kept while a Database on it uses cache mode. It is only turned into text when it is written
+ * @property {boolean} DIRTY if the cache has changes that are not written yet
+ * @property {writeJob | null} FLUSHING the cache write that is part way done
+ * @property {number} FLUSHED_AT tick the cache was last written
+ * @property {number} VERSION schema version of the saved data
+ * @property {number} GENERATION the last save that was fully written
+ */
+
+/**
+ * State of every open table, shared by all the Databases made for it
+ * @type {Map<string, tableState>}
+ */
+const OPEN_TABLES = new Map();
+
+/**
+ * Databases in cache mode, their changes get written by the tick loop
+ * @type {Set<Database>}
+ */
+const CACHED_TABLES = new Set();
+
+world.events.tick.subscribe(({ currentTick }) => {
+  const flushed = new Set();
+  for (const table of CACHED_TABLES) {
+    const STATE = table.STATE;
+    if (flushed.has(STATE)) continue;
+    if (
+      !STATE.FLUSHING &&
+      !(
+        STATE.DIRTY &&
+        currentTick - STATE.FLUSHED_AT >= table.OPTIONS.flushInterval
+      )
+    )
+      continue;
+    flushed.add(STATE);
+    try {
+      table.flush(table.OPTIONS.maxChunksPerTick);
+    } catch (error) {
+      console.warn(`${error} : ${error.stack}`);
+    }
+  }
+});
+
+world.events.playerLeave.subscribe(() => {
+  for (const table of CACHED_TABLES) {
+    try {
+      table.flush();
+    } catch (error) {
+      console.warn(`${error} : ${error.stack}`);
+    }
+  }
+});
+
+/**
+ * Change callbacks of each table, by key or "*" for every key
+ * @type {Map<string, Map<string, Set<(newValue: any, oldValue: any, key: string) => void>>>}
+ */
+const CHANGE_LISTENERS = new Map();
+
+/**
+ * Calls the change callbacks of a table for every key that is different
+ * @param {string} table table name
+ * @param {JSON} before table data before the save
+ * @param {JSON} after table data after the save
+ */
+function emitChanges(table, before, after) {
+  const listeners = CHANGE_LISTENERS.get(table);
+  if (!listeners) return;
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+    for (const callback of [
+      ...(listeners.get(key) ?? []),
+      ...(listeners.get("*") ?? []),
+    ]) {
+      try {
+        callback(after[key], before[key], key);
+      } catch (error) {
+        console.warn(`${error} : ${error.stack}`);
+      }
+    }
+  }
+}
+
 export class Database {
-  constructor(TABLE_NAME) {
+  /**
+   * @param {string} TABLE_NAME name of the table
+   * @param {Object} [options]
+   * @param {boolean} [options.cache] serve reads from memory and write changes on a interval instead of right away
+   * @param {number} [options.flushInterval] ticks between writes of the cached changes
+   * @param {number} [options.maxChunksPerTick] max chunks a cached write does in one tick
+   * @param {number} [options.version] schema version the data should be at, see runMigrations
+   * @param {Object<number, (data: JSON) => JSON | void>} [options.migrations] functions that bring the data up to their version
+   * @example new Database('coins', { cache: true, flushInterval: 100 });
+   * @example new Database('stats', {
+   *   version: 2,
+   *   migrations: { 2: (data) => { for (const key in data) data[key] = { kills: data[key] }; } },
+   * });
+   */
+  constructor(
+    TABLE_NAME,
+    {
+      cache = false,
+      flushInterval = 100,
+      maxChunksPerTick = 4,
+      version,
+      migrations = {},
+    } = {}
+  ) {
     this.TABLE_NAME = TABLE_NAME;
-    this.MEMORY = [];
-    this.build();
-    this.fetch();
+    this.OPTIONS = {
+      cache,
+      flushInterval,
+      maxChunksPerTick,
+      version,
+      migrations,
+    };
+    /**
+     * Secondary indexes by field, null until they are first used
+     * @type {Object<string, index | null>}
+     */
+    this.INDEXES = {};
+    /**
+     * @type {tableState}
+     */
+    this.STATE = OPEN_TABLES.get(TABLE_NAME);
+    if (!this.STATE) {
+      this.STATE = {
+        TABLES: new Set(),
+        MEMORY: [],
+        CORRUPTED: [],
+        CACHE: null,
+        DIRTY: false,
+        FLUSHING: null,
+        FLUSHED_AT: currentTick,
+        VERSION: 0,
+        GENERATION: 0,
+      };
+      OPEN_TABLES.set(TABLE_NAME, this.STATE);
+      this.build();
+      this.fetch();
+    }
+    this.STATE.TABLES.add(this);
+    if (cache) {
+      CACHED_TABLES.add(this);
+      if (this.STATE.CACHE === null && !this.CORRUPTED.length)
+        this.STATE.CACHE = this.rawData;
+    }
+    if (version !== undefined && !this.CORRUPTED.length)
+      this.runMigrations(version, migrations);
+  }
+
+  /**
+   * The chunks saved in the world
+   * @type {Array<{ index: number, data: string }>}
+   */
+  get MEMORY() {
+    return this.STATE.MEMORY;
+  }
+
+  set MEMORY(value) {
+    this.STATE.MEMORY = value;
+  }
+
+  /**
+   * What is wrong with the saved chunks, reading the table throws if there is anything
+   * @type {Array<string>}
+   */
+  get CORRUPTED() {
+    return this.STATE.CORRUPTED;
+  }
+
+  set CORRUPTED(value) {
+    this.STATE.CORRUPTED = value;
   }
 
+  /**
+   * Reads the chunks of the table from the world. Buckets of a save that
+   * never finished and buckets an later save replaced are deleted
+   */
   fetch() {
+    this.CORRUPTED = [];
+    this.MEMORY = [];
+    /** @type {Array<{ index: number, data: string }>} */
+    let saved = [];
     try {
-      for (let i = 0; i <= this.SAVE_NAMES; i++) {
-        const name = `DB_${this.TABLE_NAME}_${i}`;
-        const regex = new RegExp(`(?<=${name}\\()[0-1\\s]+(?=\\))`);
-        const RAW_TABLE_DATA = this.SCOREBOARD_DATA.match(regex)[0];
-        this.MEMORY.push({ index: i, data: `${RAW_TABLE_DATA}` });
+      const regex = new RegExp(
+        `DB_${this.TABLE_NAME}_(\\d+)\\(([^)]+)\\)`,
+        "g"
+      );
+      saved = [...this.SCOREBOARD_DATA.matchAll(regex)].map(
+        ([, index, data]) => ({ index: parseInt(index), data })
+      );
+    } catch (error) {}
+    const SAVE_NAMES = this.SAVE_NAMES;
+    this.STATE.GENERATION = SAVE_NAMES;
+    const buckets = saved.filter(
+      (chunk) => chunkGeneration(chunk.data) <= SAVE_NAMES
+    );
+    if (
+      buckets.length ||
+      saved.every((chunk) => BUCKET_HEADER.test(chunk.data))
+    ) {
+      for (const chunk of buckets) {
+        const current = this.MEMORY[chunk.index];
+        if (
+          !current ||
+          chunkGeneration(chunk.data) > chunkGeneration(current.data)
+        )
+          this.MEMORY[chunk.index] = chunk;
+      }
+      const count = this.MEMORY[0]
+        ? parseInt(this.MEMORY[0].data.match(BUCKET_HEADER)[2])
+        : this.MEMORY.length;
+      this.MEMORY.length = count;
+      for (let i = 0; i < count; i++) {
+        if (!this.MEMORY[i]) {
+          this.CORRUPTED.push(`chunk ${i} is missing`);
+          this.MEMORY[i] = { index: i, data: "" };
+          continue;
+        }
+        const error = verifyChunk(this.MEMORY[i].data);
+        if (error) this.CORRUPTED.push(`chunk ${i} ${error}`);
+      }
+    } else {
+      // Before buckets DB_SAVE was the index of the last chunk
+      for (let i = 0; i <= SAVE_NAMES; i++) {
+        const chunk = saved.find(
+          ({ index, data }) => index === i && !BUCKET_HEADER.test(data)
+        );
+        if (!chunk) {
+          if (SAVE_NAMES > 0) this.CORRUPTED.push(`chunk ${i} is missing`);
+          this.MEMORY.push({ index: i, data: "" });
+          continue;
+        }
+        this.MEMORY.push(chunk);
+        const error = verifyChunk(chunk.data);
+        if (error) this.CORRUPTED.push(`chunk ${i} ${error}`);
+      }
+      if (!this.CORRUPTED.length && !this.MEMORY[0].data) this.MEMORY = [];
+    }
+    if (!this.CORRUPTED.length) {
+      const removed = new Set();
+      for (const chunk of saved) {
+        if (this.MEMORY[chunk.index] === chunk) continue;
+        if (chunk.index < this.MEMORY.length)
+          this.removeChunk(chunk.index, chunk.data);
+        else if (!removed.has(chunk.index)) {
+          removed.add(chunk.index);
+          runCommand(
+            `scoreboard objectives remove DB_${this.TABLE_NAME}_${chunk.index}`
+          );
+        }
       }
+    }
+    if (this.CORRUPTED.length) {
+      console.warn(this.corruptedError().message);
+      return;
+    }
+    if (this.MEMORY.some((chunk) => !BUCKET_HEADER.test(chunk.data)))
+      this.migrate();
+    try {
+      const raw = this.rawData;
+      this.STATE.VERSION = raw[VERSION_KEY] ?? 0;
+      if (raw[EXPIRY_KEY]) watchExpiry(this);
+    } catch (error) {
+      console.warn(`${error} : ${error.stack}`);
+    }
+  }
+
+  /**
+   * Rewrites a table saved in an older format, binary or one base64 string
+   * split into chunks, in buckets
+   */
+  migrate() {
+    try {
+      const json = JSON.parse(
+        this.MEMORY[0].data.startsWith(ENCODING_TAG)
+          ? base64ToText(this.MEMORY.map((a) => chunkData(a.data)).join(""))
+          : this.MEMORY.map((a) => binaryToText(a.data)).join("")
+      );
+      const expiry = json[EXPIRY_KEY] ?? {};
+      this.STATE.VERSION = json[VERSION_KEY] ?? 0;
+      delete json[EXPIRY_KEY];
+      delete json[VERSION_KEY];
+      this.save(json, expiry);
     } catch (error) {
-      this.MEMORY = [{ index: 0, data: "01111011 01111101" }];
+      console.warn(`${error} : ${error.stack}`);
     }
   }
 
+  /**
+   * Gets the error thrown when reading a corrupted table
+   * @returns {Error}
+   */
+  corruptedError() {
+    return new Error(
+      `[Database] Table "${this.TABLE_NAME}" is corrupted: ${this.CORRUPTED.join(
+        ", "
+      )}`
+    );
+  }
+
   build(objective = this.TABLE_NAME) {
     runCommand(`scoreboard objectives add ${objective} dummy`);
     runCommand(`scoreboard players add "DB_SAVE" ${objective} 0`);
   }
 
-  wipe() {
-    this.MEMORY = [];
-    for (let i = 0; i <= this.SAVE_NAMES; i++) {
-      const name = `DB_${this.TABLE_NAME}_${i}`;
-      runCommand(`scoreboard objectives remove ${name}`);
+  get SCOREBOARD_DATA() {
+    return world.getDimension("overworld").runCommand(`scoreboard players list`)
+      .statusMessage;
+  }
+
+  /**
+   * The last save of the table that was fully written, kept on DB_SAVE
+   * @type {number}
+   */
+  get SAVE_NAMES() {
+    try {
+      const command = world
+        .getDimension("overworld")
+        .runCommand(
+          `scoreboard players test "DB_SAVE" "${this.TABLE_NAME}" * *`
+        );
+      return parseInt(command.statusMessage.split(" ")[1]);
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  set SAVE_NAMES(value) {
+    world
+      .getDimension("overworld")
+      .runCommand(
+        `scoreboard players set "DB_SAVE" "${this.TABLE_NAME}" ${value}`
+      );
+  }
+  /**
+   * Gets the database from the world, without expired keys
+   * @returns {JSON}
+   */
+  get data() {
+    const {
+      [EXPIRY_KEY]: expiry = {},
+      [VERSION_KEY]: version,
+      ...data
+    } = this.rawData;
+    for (const key in expiry) {
+      if (isExpired(expiry[key])) delete data[key];
     }
-    runCommand(`scoreboard objectives remove ${this.TABLE_NAME}`);
-    this.build();
+    return data;
+  }
+
+  /**
+   * Gets the expiry times of the keys that have one
+   * @returns {Object<string, expiry>}
+   */
+  get expiry() {
+    return { ...this.rawData[EXPIRY_KEY] };
+  }
+
+  /**
+   * Gets the database from the world as it is stored. In cache mode this is
+   * the cache itself, so it must not be changed
+   * @returns {JSON}
+   * @throws {Error} when a chunk is missing or fails its checks
+   */
+  get rawData() {
+    if (this.CORRUPTED.length) throw this.corruptedError();
+    if (this.STATE.CACHE !== null) return this.STATE.CACHE;
+    if (!this.MEMORY.length) return {};
+    try {
+      const json = {};
+      const expiry = {};
+      for (const chunk of this.MEMORY) {
+        const { [EXPIRY_KEY]: bucketExpiry, ...bucket } = JSON.parse(
+          base64ToText(chunkData(chunk.data))
+        );
+        Object.assign(json, bucket);
+        Object.assign(expiry, bucketExpiry);
+      }
+      if (Object.keys(expiry).length) json[EXPIRY_KEY] = expiry;
+      return json;
+    } catch (error) {
+      throw new Error(
+        `[Database] Table "${this.TABLE_NAME}" could not be read: ${error}`
+      );
+    }
+  }
+
+  /**
+   * Copies a value read from the cache, so changing it can't change the cache
+   * without a save. Values read from the world are already a copy
+   * @param {any} value
+   * @returns {any}
+   */
+  detach(value) {
+    if (this.STATE.CACHE === null || value === undefined) return value;
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Saves local memory data to database, only chunks that changed get rewritten.
+   * If a chunk fails to write every chunk already written is put back. In
+   * cache mode the data is kept in memory and written by flush, so json
+   * becomes the cache and should not be changed after
+   * @param {JSON} json value to save to DB
+   * @param {Object<string, expiry>} [expiry] expiry times, keys not in json are dropped
+   * @throws {Error} when a chunk could not be written
+   */
+  save(json, expiry = this.expiry) {
+    const EXPIRY = Object.fromEntries(
+      Object.entries(expiry).filter(([key]) => key in json)
+    );
+    const HAS_EXPIRY = Object.keys(EXPIRY).length > 0;
+    const META = {};
+    if (HAS_EXPIRY) META[EXPIRY_KEY] = EXPIRY;
+    if (this.STATE.VERSION) META[VERSION_KEY] = this.STATE.VERSION;
+    const STORED = { ...json, ...META };
+    let OLD_DATA;
+    if (CHANGE_LISTENERS.has(this.TABLE_NAME)) {
+      try {
+        OLD_DATA = { ...this.rawData };
+      } catch (error) {
+        OLD_DATA = {};
+      }
+    }
+    if (this.OPTIONS.cache) {
+      this.STATE.DIRTY = true;
+    } else {
+      const generation = this.STATE.GENERATION + 1;
+      this.writeChunks({
+        generation,
+        memory: this.encodeChunks(STORED, generation),
+        written: [],
+      });
+      this.STATE.DIRTY = false;
+    }
+    if (this.OPTIONS.cache || this.STATE.CACHE !== null)
+      this.STATE.CACHE = STORED;
+    this.CORRUPTED = [];
+    // Indexes are built again the next time a query uses them
+    for (const table of this.STATE.TABLES) {
+      for (const field in table.INDEXES) table.INDEXES[field] = null;
+    }
+    if (HAS_EXPIRY) watchExpiry(this);
+    if (OLD_DATA) {
+      delete OLD_DATA[EXPIRY_KEY];
+      delete OLD_DATA[VERSION_KEY];
+      emitChanges(this.TABLE_NAME, OLD_DATA, json);
+    }
+  }
+
+  /**
+   * Splits a table into encoded buckets, keeping the amount of buckets saved
+   * in the world so keys stay where they are. When a bucket is too big the
+   * amount is doubled, which moves keys and rewrites every chunk once
+   * @param {JSON} stored the table as it is stored, with its expiry and version
+   * @param {number} generation the save the chunks are written as
+   * @returns {Array<{ index: number, data: string }>}
+   * @throws {Error} when a single key is too big for a chunk
+   */
+  encodeChunks(stored, generation) {
+    const {
+      [EXPIRY_KEY]: expiry = {},
+      [VERSION_KEY]: version,
+      ...json
+    } = stored;
+    const keys = Object.keys(json);
+    let size = keys.length ? Math.max(this.MEMORY.length, 1) : 1;
+    while (true) {
+      const buckets = Array.from({ length: size }, () => ({}));
+      for (const key of keys) {
+        const bucket = buckets[hash(key) % size];
+        bucket[key] = json[key];
+        if (!expiry[key]) continue;
+        bucket[EXPIRY_KEY] ??= {};
+        bucket[EXPIRY_KEY][key] = expiry[key];
+      }
+      if (version) buckets[0][VERSION_KEY] = version;
+      const encoded = buckets.map((bucket) =>
+        textToBase64(JSON.stringify(bucket))
+      );
+      const full = encoded.findIndex(
+        (data) => data.length > MAX_DATABASE_STRING_SIZE - CHUNK_HEADER_SIZE
+      );
+      if (full === -1)
+        return encoded.map((data, index) => ({
+          index,
+          data: encodeChunk(data, generation, size),
+        }));
+      const fullKeys = Object.keys(buckets[full]).filter(
+        (key) => key !== EXPIRY_KEY && key !== VERSION_KEY
+      );
+      if (fullKeys.length <= 1)
+        throw new Error(
+          `[Database] Key "${fullKeys[0]}" of "${this.TABLE_NAME}" is too big to save`
+        );
+      size *= 2;
+    }
+  }
+
+  /**
+   * Writes the chunks of a job that are different from the ones in the world.
+   * Changed buckets are added next to the old ones, which are only deleted
+   * once every chunk is written and DB_SAVE is set to the job's generation,
+   * so the world always holds one whole save. With a limit it can take
+   * several calls, the job keeps track of what was written. If a chunk fails
+   * to write the chunks of the job are taken back out
+   * @param {writeJob} job the chunks to write
+   * @param {number} [limit] max chunks to write in this call
+   * @returns {boolean} if the job is done
+   * @throws {Error} when a chunk could not be written
+   */
+  writeChunks(job, limit = Infinity) {
+    const OLD_MEMORY = this.MEMORY;
+    if (this.STATE.FLUSHING && this.STATE.FLUSHING !== job) {
+      this.rollback(this.STATE.FLUSHING);
+      this.STATE.FLUSHING = null;
+    }
+    let count = 0;
+    try {
+      for (const { index, data } of job.memory) {
+        if (
+          (OLD_MEMORY[index] &&
+            chunkContent(OLD_MEMORY[index].data) === chunkContent(data)) ||
+          job.written.includes(index)
+        )
+          continue;
+        if (count++ >= limit) return false;
+        job.written.push(index);
+        if (!this.writeChunk(index, data, Boolean(OLD_MEMORY[index])))
+          throw new Error(
+            `[Database] Failed to write chunk ${index} of "${this.TABLE_NAME}"`
+          );
+      }
+      if (!job.written.length && job.memory.length === OLD_MEMORY.length)
+        return true;
+      this.SAVE_NAMES = job.generation;
+    } catch (error) {
+      this.rollback(job);
+      throw error;
+    }
+    this.STATE.GENERATION = job.generation;
+    for (const index of job.written) {
+      if (OLD_MEMORY[index]) this.removeChunk(index, OLD_MEMORY[index].data);
+    }
+    for (let i = job.memory.length; i < OLD_MEMORY.length; i++) {
+      runCommand(`scoreboard objectives remove DB_${this.TABLE_NAME}_${i}`);
+    }
+    this.MEMORY = job.memory.map((chunk) =>
+      job.written.includes(chunk.index) ? chunk : OLD_MEMORY[chunk.index]
+    );
+    return true;
+  }
+
+  /**
+   * Writes the changes in the cache to the world
+   * @param {number} [limit] max chunks to write, the rest are written by later calls
+   * @returns {boolean} if every change is written
+   * @throws {Error} when a chunk could not be written, the changes stay in the cache
+   * @example Database.flush();
+   */
+  flush(limit = Infinity) {
+    const STATE = this.STATE;
+    while (STATE.FLUSHING || STATE.DIRTY) {
+      if (!STATE.FLUSHING) {
+        STATE.DIRTY = false;
+        const generation = STATE.GENERATION + 1;
+        STATE.FLUSHING = {
+          generation,
+          memory: this.encodeChunks(STATE.CACHE, generation),
+          written: [],
+        };
+      }
+      let done;
+      try {
+        done = this.writeChunks(STATE.FLUSHING, limit);
+      } catch (error) {
+        STATE.FLUSHING = null;
+        STATE.DIRTY = true;
+        throw error;
+      }
+      if (!done) return false;
+      STATE.FLUSHING = null;
+      STATE.FLUSHED_AT = currentTick;
+      if (limit !== Infinity) break;
+    }
+    return !STATE.DIRTY && !STATE.FLUSHING;
+  }
+
+  /**
+   * Gets the schema version of the saved data, 0 if it was never set
+   * @returns {number}
+   */
+  get VERSION() {
+    return this.STATE.VERSION;
+  }
+
+  /**
+   * Brings the saved data up to a schema version, running the migration of
+   * every version after the saved one in order. Each migration gets the data
+   * of the version before and changes it or returns the new data. If one
+   * throws nothing is saved and the data stays at its old version
+   * @param {number} version the version the data should be at
+   * @param {Object<number, (data: JSON) => JSON | void>} [migrations] migrations by the version they bring the data to
+   * @returns {boolean} if the data is at the version
+   * @example Database.runMigrations(3, { 2: (data) => {...}, 3: (data) => {...} });
+   */
+  runMigrations(version, migrations = {}) {
+    const from = this.STATE.VERSION;
+    if (from >= version) return true;
+    try {
+      const expiry = this.expiry;
+      let data = this.detach(this.data);
+      for (let i = from + 1; i <= version; i++) {
+        if (migrations[i]) data = migrations[i](data) ?? data;
+      }
+      this.STATE.VERSION = version;
+      this.save(data, expiry);
+      return true;
+    } catch (error) {
+      this.STATE.VERSION = from;
+      console.warn(
+        `[Database] Migrating "${this.TABLE_NAME}" from v${from} to v${version} failed: ${error}`
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Deletes expired keys from storage, called by the expiry sweeper
+   * @returns {number} the amount of keys deleted
+   */
+  sweep() {
+    if (this.CORRUPTED.length) return 0;
+    const expiry = this.expiry;
+    const expired = Object.keys(expiry).filter((key) =>
+      isExpired(expiry[key])
+    );
+    if (!Object.keys(expiry).length) EXPIRING_TABLES.delete(this);
+    if (!expired.length) return 0;
+    this.save(this.data, expiry);
+    return expired.length;
+  }
+
+  /**
+   * Takes the chunks of a failed or replaced write back out, the chunks of
+   * the last whole save were never touched
+   * @param {writeJob} job the write that did not finish
+   */
+  rollback(job) {
+    for (const index of job.written) {
+      const chunk = job.memory.find((chunk) => chunk.index === index);
+      if (this.MEMORY[index]) this.removeChunk(index, chunk.data);
+      else
+        runCommand(
+          `scoreboard objectives remove DB_${this.TABLE_NAME}_${index}`
+        );
+    }
+  }
+
+  /**
+   * Adds a chunk to its objective, next to the chunk it replaces
+   * @param {number} index chunk index
+   * @param {string} data encoded chunk data
+   * @param {boolean} exists if the chunk objective is already in the world
+   * @returns {boolean} if the chunk was written
+   */
+  writeChunk(index, data, exists = false) {
+    const name = `DB_${this.TABLE_NAME}_${index}`;
+    if (!exists) runCommand(`scoreboard objectives add ${name} dummy`);
+    return !runCommand(`scoreboard players set "${name}(${data})" ${name} 0`)
+      .error;
+  }
+
+  /**
+   * Deletes a chunk from its objective
+   * @param {number} index chunk index
+   * @param {string} data encoded chunk data
+   */
+  removeChunk(index, data) {
+    if (!data) return;
+    const name = `DB_${this.TABLE_NAME}_${index}`;
+    runCommand(`scoreboard players reset "${name}(${data})" ${name}`);
+  }
+
+  /**
+   * Makes several changes to the table and saves them in one write. If the
+   * callback throws nothing is saved, if a chunk fails to write the old
+   * chunks are restored
+   * @param {(data: JSON) => void} callback edits the table data it is given
+   * @returns {JSON} the saved data, in cache mode this is the cache so it should not be changed
+   * @example Database.transaction((data) => {
+   *   data["a1Piolpolars"] -= 10;
+   *   data["Smell of curry"] += 10;
+   * });
+   */
+  transaction(callback) {
+    const data = this.detach(this.data);
+    callback(data);
+    this.save(data);
+    return data;
+  }
+
+  get(key) {
+    const data = this.data;
+    return this.detach(data[key]);
+  }
+
+  /**
+   * Set a key in the table
+   * @param {string} key
+   * @param {any} value
+   * @param {Object} [options]
+   * @param {number} [options.ttl] time until the key expires, it never expires if not set
+   * @param {"ms" | "ticks"} [options.unit] if ttl is in milliseconds or ticks, ticks are counted as 50ms so they last through a restart
+   * @example Database.set('cooldown:notbeer', true, { ttl: 200, unit: 'ticks' });
+   */
+  set(key, value, { ttl, unit = "ms" } = {}) {
+    let data = this.data;
+    const expiry = this.expiry;
+    data[key] = this.detach(value);
+    if (ttl === undefined) delete expiry[key];
+    else
+      expiry[key] = {
+        at: Date.now() + (unit === "ticks" ? ttl * MS_PER_TICK : ttl),
+      };
+    this.save(data, expiry);
+  }
+  /**
+   * Check if the key exists in the table
+   * @param {string} key
+   * @returns {boolean}
+   * @example Database.has('Test Key');
+   */
+  has(key) {
+    return this.keys().includes(key);
+  }
+  /**
+   * Delete the key from the table
+   * @param {string} key
+   * @returns {boolean}
+   * @example Database.delete('Test Key');
+   */
+  delete(key) {
+    let json = this.data;
+    const status = delete json[key];
+    this.save(json);
+    return status;
+  }
+  /**
+   * Returns the number of key/value pairs in the Map object.
+   * @example Database.size()
+   */
+  size() {
+    return this.keys().length;
+  }
+  /**
+   * Clear everything in the table
+   * @example Database.clear()
+   */
+  clear() {
+    this.save({}, {});
+  }
+  /**
+   * Get all the keys in the table
+   * @returns {Array<string>}
+   * @example Database.keys();
+   */
+  keys() {
+    return Object.keys(this.data);
+  }
+  /**
+   * Get all the values in the table
+   * @returns {Array<any>}
+   * @example Database.values();
+   */
+  values() {
+    return this.detach(Object.values(this.data));
+  }
+  /**
+   * Gets all the keys and values
+   * @returns {any}
+   * @example Database.getCollection();
+   */
+  getCollection() {
+    return this.detach(this.data);
+  }
+  /**
+   * Exports the whole table as a JSON dump, to keep as a backup
+   * @returns {string}
+   * @example Database.export();
+   */
+  export() {
+    return JSON.stringify({
+      table: this.TABLE_NAME,
+      date: Date.now(),
+      version: this.STATE.VERSION,
+      expiry: this.expiry,
+      data: this.data,
+    });
+  }
+  /**
+   * Replaces the whole table with a JSON dump made by export, this also
+   * works on a corrupted table. Dumps of an older schema version are migrated
+   * with the migrations this Database was made with
+   * @param {string} dump the JSON dump
+   * @example Database.import(backup);
+   */
+  import(dump) {
+    const { data, expiry = {}, version = 0 } = JSON.parse(dump);
+    if (!data || typeof data !== "object")
+      throw new Error(
+        `[Database] Import into "${this.TABLE_NAME}" is not a table dump`
+      );
+    this.STATE.VERSION = version;
+    this.save(data, expiry);
+    if (this.OPTIONS.version !== undefined)
+      this.runMigrations(this.OPTIONS.version, this.OPTIONS.migrations);
+  }
+  /**
+   * Listen for changes to a key, from this or any other Database on the same table
+   * @param {string} key the key to watch, or "*" for every key
+   * @param {(newValue: any, oldValue: any, key: string) => void} callback called with the new and old value, undefined if the key was added or deleted
+   * @returns {(newValue: any, oldValue: any, key: string) => void} the callback, to pass to offChange
+   * @example Database.onChange('*', (newValue, oldValue, key) => {
+   *   console.warn(`${key} changed from ${oldValue} to ${newValue}`);
+   * });
+   */
+  onChange(key, callback) {
+    if (!CHANGE_LISTENERS.has(this.TABLE_NAME))
+      CHANGE_LISTENERS.set(this.TABLE_NAME, new Map());
+    const listeners = CHANGE_LISTENERS.get(this.TABLE_NAME);
+    if (!listeners.has(key)) listeners.set(key, new Set());
+    listeners.get(key).add(callback);
+    return callback;
+  }
+  /**
+   * Stop listening for changes to a key
+   * @param {string} key the key the callback was added to
+   * @param {(newValue: any, oldValue: any, key: string) => void} callback the callback onChange returned
+   * @example Database.offChange('*', callback);
+   */
+  offChange(key, callback) {
+    const listeners = CHANGE_LISTENERS.get(this.TABLE_NAME);
+    if (!listeners?.get(key)?.delete(callback)) return;
+    if (!listeners.get(key).size) listeners.delete(key);
+    if (!listeners.size) CHANGE_LISTENERS.delete(this.TABLE_NAME);
+  }
+  /**
+   * Adds a secondary index on a field of the stored records, lookups and
+   * sorts on that field then skip scanning the table
+   * @param {string} field record field to index
+   * @example Database.createIndex('discordId');
+   */
+  createIndex(field) {
+    if (!(field in this.INDEXES)) this.INDEXES[field] = null;
+  }
+  /**
+   * Removes a secondary index
+   * @param {string} field record field that is indexed
+   * @example Database.dropIndex('discordId');
+   */
+  dropIndex(field) {
+    delete this.INDEXES[field];
+  }
+  /**
+   * Gets the index of a field, building it if it was not used since the last save
+   * @param {string} field record field that is indexed
+   * @returns {index | undefined}
+   */
+  getIndex(field) {
+    if (!(field in this.INDEXES)) return;
+    if (!this.INDEXES[field]) {
+      const {
+        [EXPIRY_KEY]: expiry = {},
+        [VERSION_KEY]: version,
+        ...json
+      } = this.rawData;
+      this.INDEXES[field] = buildIndex(json, field, expiry);
+    }
+    return this.INDEXES[field];
+  }
+  /**
+   * Finds records in the table, indexed fields are used when they can be.
+   * When sorting, records without the sort field are left out
+   * @param {Object} [options]
+   * @param {Object | (value: any, key: string) => boolean} [options.where] fields the record must have, or a filter
+   * @param {string} [options.sort] field to sort the records by
+   * @param {"asc" | "desc"} [options.order] sort order
+   * @param {number} [options.limit] max amount of records to return
+   * @returns {Array<{ key: string, value: any }>}
+   * @example Database.query({ sort: 'kills', order: 'desc', limit: 10 });
+   */
+  query({ where, sort, order = "asc", limit = Infinity } = {}) {
+    const sortIndex = sort && this.getIndex(sort);
+    const field =
+      !sortIndex &&
+      where &&
+      typeof where === "object" &&
+      Object.keys(where).find((field) => field in this.INDEXES);
+    const index = sortIndex || (field && this.getIndex(field));
+    let data;
+    let keys;
+    if (sortIndex) {
+      keys = [...sortIndex.sorted];
+      if (order === "desc") keys.reverse();
+    } else if (index) {
+      keys = index.values.get(where[field]) ?? [];
+    } else {
+      data = this.data;
+      keys = Object.keys(data);
+    }
+    const results = [];
+    for (const key of keys) {
+      if (results.length >= limit && (sortIndex || !sort)) break;
+      if (index && index.expiry[key] && isExpired(index.expiry[key])) continue;
+      const value = index ? JSON.parse(index.records.get(key)) : data[key];
+      if (!matchesWhere(value, key, where)) continue;
+      if (sort && value?.[sort] === undefined) continue;
+      results.push({ key, value: index ? value : this.detach(value) });
+    }
+    if (!sort || sortIndex) return results;
+    return results
+      .sort((a, b) =>
+        compareFields(a.value?.[sort], b.value?.[sort], order === "desc")
+      )
+      .slice(0, limit);
+  }
+  /**
+   * Finds every record matching the query
+   * @param {Object | (value: any, key: string) => boolean} where fields the record must have, or a filter
+   * @returns {Array<{ key: string, value: any }>}
+   * @example Database.find({ rank: 'admin' });
+   */
+  find(where) {
+    return this.query({ where });
+  }
+  /**
+   * Finds the first record matching the query
+   * @param {Object | (value: any, key: string) => boolean} where fields the record must have, or a filter
+   * @returns {{ key: string, value: any } | undefined}
+   * @example Database.findOne({ discordId: '123456789' });
+   */
+  findOne(where) {
+    return this.query({ where, limit: 1 })[0];
+  }
+  /**
+   * Test if a table has been made in the world, without making it
+   * @param {string} TABLE_NAME name of the table
+   * @returns {boolean}
+   * @example Database.exists('coins');
+   */
+  static exists(TABLE_NAME) {
+    if (OPEN_TABLES.has(TABLE_NAME)) return true;
+    try {
+      world
+        .getDimension("overworld")
+        .runCommand(`scoreboard players test "DB_SAVE" "${TABLE_NAME}" * *`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  /**
+   * Writes any cached changes, then stops syncing this Database with others
+   * on the same table and sweeping its expired keys, for tables that are not
+   * used anymore
+   * @example Database.close();
+   */
+  close() {
+    if (this.OPTIONS.cache) this.flush();
+    CACHED_TABLES.delete(this);
+    this.STATE.TABLES.delete(this);
+    const next = [...this.STATE.TABLES][0];
+    if (EXPIRING_TABLES.delete(this) && next) EXPIRING_TABLES.add(next);
+    if (!next) OPEN_TABLES.delete(this.TABLE_NAME);
+  }
+}
+
+/**
+ * Minecraft Bedrock Player Database
+ * @license MIT
+ * @author a1Piolpolars
+ * @version 1.0.0
+ * --------------------------------------------------------------------------
+ * Gives every player their own Database table so a lookup never loads the
+ * data of other players. Tables are keyed by a id saved in a tag on the
+ * player, so changing gamertag keeps the data, and every name a id has had
+ * is kept so records saved by name can be moved over
+ * --------------------------------------------------------------------------
+ */
+
+/**
+ * The tag prefix the persistent id of a player is saved in
+ * @type {string}
+ */
+const PLAYER_ID_TAG = "playerId:";
+
+/**
+ * The table that keeps the name history of every id
+ * @type {string}
+ */
+const PLAYER_ID_TABLE = "playerIds";
+
+/**
+ * @typedef {Object} playerIdRecord
+ * @property {string} name the last name the player joined with
+ * @property {Array<string>} names every name the player has had, oldest first
+ */
+
+/**
+ * Table of playerIdRecord by id, made the first time it is needed
+ * @type {Database}
+ */
+let playerIds;
+
+/**
+ * Gets the table of player ids
+ * @returns {Database}
+ */
+function getPlayerIds() {
+  if (playerIds) return playerIds;
+  playerIds = new Database(PLAYER_ID_TABLE, { cache: true });
+  playerIds.createIndex("name");
+  return playerIds;
+}
+
+export class PlayerDatabase {
+  /**
+   * @param {string} TABLE_NAME name of the namespace, each player gets a table under it
+   * @param {Object} [options] Database options used for every player table
+   * @example const homes = new PlayerDatabase('homes');
+   */
+  constructor(TABLE_NAME, options) {
+    this.TABLE_NAME = TABLE_NAME;
+    this.OPTIONS = options;
+    /**
+     * Tables that have been loaded, by player id
+     * @type {Map<string, Database>}
+     */
+    this.TABLES = new Map();
+    world.events.playerLeave.subscribe((data) => {
+      const id = PlayerDatabase.resolve(data.playerName);
+      this.TABLES.get(id)?.close();
+      this.TABLES.delete(id);
+    });
+  }
+  /**
+   * Gets the persistent id of a player from their tag, giving them one if they
+   * don't have one yet. Only a new id touches the table of ids
+   * @param {Player} player
+   * @returns {string}
+   * @example PlayerDatabase.getId(player);
+   */
+  static getId(player) {
+    const id = getTagStartsWith(player, PLAYER_ID_TAG);
+    if (id) return id;
+    const newId =
+      Date.now().toString(36) +
+      Math.floor(Math.random() * 36 ** 4).toString(36);
+    player.addTag(PLAYER_ID_TAG + newId);
+    PlayerDatabase.recordName(player, newId);
+    return newId;
+  }
+  /**
+   * Adds the name a player has now to the name history of their id, done
+   * when they join
+   * @param {Player} player
+   * @param {string} [id] the id of the player
+   * @example PlayerDatabase.recordName(player);
+   */
+  static recordName(player, id = PlayerDatabase.getId(player)) {
+    const ids = getPlayerIds();
+    const record = ids.get(id);
+    if (record?.name !== player.name)
+      ids.set(id, {
+        name: player.name,
+        names: [
+          ...(record?.names ?? []).filter((name) => name !== player.name),
+          player.name,
+        ],
+      });
+  }
+  /**
+   * Finds the id of a player by their current name, or any old name
+   * @param {string} name player name
+   * @returns {string | undefined}
+   * @example PlayerDatabase.resolve('notbeer');
+   */
+  static resolve(name) {
+    const ids = getPlayerIds();
+    return (
+      ids.findOne({ name })?.key ??
+      ids.findOne((record) => record.names.includes(name))?.key
+    );
+  }
+  /**
+   * Gets every name a id has had, oldest first
+   * @param {string} id player id
+   * @returns {Array<string>}
+   * @example PlayerDatabase.history(PlayerDatabase.getId(player));
+   */
+  static history(id) {
+    return getPlayerIds().get(id)?.names ?? [];
+  }
+  /**
+   * Gets the table of a player, loading it the first time
+   * @param {Player | string} player a player or their id
+   * @returns {Database}
+   * @example homes.table(player).set('spawn', [0, 64, 0]);
+   */
+  table(player) {
+    const id =
+      typeof player === "string" ? player : PlayerDatabase.getId(player);
+    if (!this.TABLES.has(id))
+      this.TABLES.set(
+        id,
+        new Database(`${this.TABLE_NAME}_${id}`, this.OPTIONS)
+      );
+    return this.TABLES.get(id);
+  }
+  /**
+   * Gets a key from the table of a player
+   * @param {Player | string} player a player or their id
+   * @param {string} key
+   * @returns {any}
+   * @example homes.get(player, 'spawn');
+   */
+  get(player, key) {
+    return this.table(player).get(key);
+  }
+  /**
+   * Sets a key in the table of a player
+   * @param {Player | string} player a player or their id
+   * @param {string} key
+   * @param {any} value
+   * @param {Object} [options] same options as Database.set
+   * @example homes.set(player, 'spawn', [0, 64, 0]);
+   */
+  set(player, key, value, options) {
+    this.table(player).set(key, value, options);
+  }
+  /**
+   * Deletes a key from the table of a player
+   * @param {Player | string} player a player or their id
+   * @param {string} key
+   * @returns {boolean}
+   * @example homes.delete(player, 'spawn');
+   */
+  delete(player, key) {
+    return this.table(player).delete(key);
+  }
+  /**
+   * Moves records saved by player name in a Database into the tables of
+   * those players. Names that were never seen with a id are left where they are
+   * @param {Database} database table keyed by player name
+   * @param {string} [key] key the record is saved under in the player table
+   * @returns {number} the amount of records moved
+   * @example homes.migrate(new Database('homes'), 'spawn');
+   */
+  migrate(database, key = database.TABLE_NAME) {
+    const moved = [];
+    for (const [name, value] of Object.entries(database.data)) {
+      const id = PlayerDatabase.resolve(name);
+      if (!id) continue;
+      this.table(id).set(key, value);
+      moved.push(name);
+    }
+    if (moved.length)
+      database.transaction((data) => {
+        for (const name of moved) delete data[name];
+      });
+    return moved.length;
+  }
+}
+
+world.events.playerJoin.subscribe(({ player }) => {
+  try {
+    PlayerDatabase.recordName(player);
+  } catch (error) {
+    console.warn(`${error} : ${error.stack}`);
+  }
+});
+
+/**
+ * Sends a chat message to a player
+ * @param {Player} player player to send the message to
+ * @param {string} text the message
+ */
+function tell(player, text) {
+  try {
+    player.runCommand(`tellraw @s ${JSON.stringify({ rawtext: [{ text }] })}`);
+  } catch (error) {
+    console.warn(`${error} : ${error.stack}`);
+  }
+}
+
+/**
+ * Minecraft Bedrock Ranks
+ * @license MIT
+ * @author a1Piolpolars
+ * @version 1.0.0
+ * --------------------------------------------------------------------------
+ * Rank definitions are saved in a Database with how they look and their
+ * priority, and the ranks of each player are saved by their persistent id.
+ * Players that still have a old "rank:" tag get those ranks moved over the
+ * first time their ranks are read
+ * --------------------------------------------------------------------------
+ */
+
+/**
+ * @typedef {Object} rankDefinition
+ * @property {string} display The name shown in chat and name tags
+ * @property {string} color Color code put before the display name, like "§c"
+ * @property {number} priority Ranks with a higher priority are shown first
+ * @property {boolean} [isDefault] Given to players that have no other rank
+ */
+
+/**
+ * The table rank definitions are saved in, by rank id
+ * @type {string}
+ */
+const RANK_TABLE = "ranks";
+
+/**
+ * The table the rank ids of each player are saved in, by player id
+ * @type {string}
+ */
+const PLAYER_RANK_TABLE = "playerRanks";
+
+/**
+ * The tag ranks used to be saved in, "--" between each rank
+ * @type {string}
+ */
+const LEGACY_RANK_TAG = "rank:";
+
+/**
+ * Ranks saved the first time the rank table is made
+ * @type {Object<string, rankDefinition>}
+ */
+const DEFAULT_RANKS = {
+  member: { display: "Member", color: "§a", priority: 0, isDefault: true },
+};
+
+export class RankBuilder {
+  /**
+   * The table of rank definitions, made the first time it is needed
+   * @returns {Database}
+   */
+  get table() {
+    if (this._table) return this._table;
+    this._table = new Database(RANK_TABLE, { cache: true });
+    if (!this._table.size())
+      this._table.transaction((data) => Object.assign(data, DEFAULT_RANKS));
+    return this._table;
+  }
+  /**
+   * The table of the rank ids of each player, made the first time it is needed
+   * @returns {Database}
+   */
+  get players() {
+    return (this._players ??= new Database(PLAYER_RANK_TABLE, { cache: true }));
+  }
+  /**
+   * Add or change a rank and update the name tags of online players
+   * @param {string} id
+   * @param {Partial<rankDefinition>} definition
+   * @example define('admin', { display: 'Admin', color: '§c', priority: 100 });
+   */
+  define(id, { display = id, color = "§f", priority = 0, isDefault = false }) {
+    this.table.transaction((data) => {
+      if (isDefault)
+        for (const rank of Object.values(data)) delete rank.isDefault;
+      data[id.toLowerCase()] = { display, color, priority, isDefault };
+    });
+    this.updateNameTags();
+  }
+  /**
+   * Remove a rank, take it from every player and update the name tags of
+   * online players
+   * @param {string} id
+   * @returns {boolean} If the rank existed
+   * @example undefine('admin');
+   */
+  undefine(id) {
+    id = id.toLowerCase();
+    if (!this.table.delete(id)) return false;
+    this.players.transaction((data) => {
+      for (const [player, ranks] of Object.entries(data))
+        data[player] = ranks.filter((rank) => rank !== id);
+    });
+    this.updateNameTags();
+    return true;
+  }
+  /**
+   * Get a rank
+   * @param {string} id
+   * @returns {(rankDefinition & { id: string }) | undefined}
+   * @example get('admin');
+   */
+  get(id) {
+    const rank = this.table.get(id.toLowerCase());
+    return rank && { id: id.toLowerCase(), ...rank };
+  }
+  /**
+   * Get every rank, highest priority first
+   * @returns {Array<rankDefinition & { id: string }>}
+   * @example list();
+   */
+  list() {
+    return Object.entries(this.table.getCollection())
+      .map(([id, rank]) => ({ id, ...rank }))
+      .sort((a, b) => b.priority - a.priority);
+  }
+  /**
+   * Get the ranks of a player, highest priority first. Players without any
+   * get the default rank
+   * @param {Player | string} player A player or their id
+   * @returns {Array<rankDefinition & { id: string }>}
+   * @example getRanks(player);
+   */
+  getRanks(player) {
+    const ranks = this.getIds(player)
+      .map((id) => this.get(id))
+      .filter((rank) => rank)
+      .sort((a, b) => b.priority - a.priority);
+    return ranks.length ? ranks : this.list().filter((rank) => rank.isDefault);
+  }
+  /**
+   * Get the rank ids saved for a player, moving over their old rank tag
+   * @param {Player | string} player A player or their id
+   * @returns {Array<string>}
+   */
+  getIds(player) {
+    if (typeof player === "string") return this.players.get(player) ?? [];
+    const id = PlayerDatabase.getId(player);
+    const tag = getTagStartsWith(player, LEGACY_RANK_TAG);
+    if (tag === null) return this.players.get(id) ?? [];
+    const ids = this.players.get(id) ?? [];
+    for (const legacy of tag.split("--")) {
+      const display = legacy.replace(/§./g, "").trim();
+      const rank = display.toLowerCase();
+      if (!rank) continue;
+      if (!this.get(rank))
+        this.define(rank, {
+          display,
+          color: legacy.match(/^(§.)*/)[0] || "§f",
+        });
+      if (!ids.includes(rank)) ids.push(rank);
+    }
+    this.players.set(id, ids);
+    player.removeTag(LEGACY_RANK_TAG + tag);
+    return ids;
+  }
+  /**
+   * Give a player a rank
+   * @param {Player | string} player A player or their id
+   * @param {string} rank The rank id
+   * @returns {boolean} If the rank exists and the player did not have it
+   * @example add(player, 'admin');
+   */
+  add(player, rank) {
+    rank = rank.toLowerCase();
+    const ids = this.getIds(player);
+    if (!this.get(rank) || ids.includes(rank)) return false;
+    this.setIds(player, [...ids, rank]);
+    return true;
+  }
+  /**
+   * Take a rank from a player
+   * @param {Player | string} player A player or their id
+   * @param {string} rank The rank id
+   * @returns {boolean} If the player had the rank
+   * @example remove(player, 'admin');
+   */
+  remove(player, rank) {
+    rank = rank.toLowerCase();
+    const ids = this.getIds(player);
+    if (!ids.includes(rank)) return false;
+    this.setIds(
+      player,
+      ids.filter((id) => id !== rank)
+    );
+    return true;
+  }
+  /**
+   * Save the rank ids of a player and update their name tag
+   * @param {Player | string} player A player or their id
+   * @param {Array<string>} ids
+   */
+  setIds(player, ids) {
+    if (typeof player === "string") return this.players.set(player, ids);
+    this.players.set(PlayerDatabase.getId(player), ids);
+    this.updateNameTag(player);
+  }
+  /**
+   * Write the ranks of a player the way they show in chat
+   * @param {Player | string} player A player or their id
+   * @returns {string}
+   * @example format(player); // "§l§8[§r§cAdmin§l§8]§r"
+   */
+  format(player) {
+    return this.getRanks(player)
+      .map((rank) => `§l§8[§r${rank.color}${rank.display}§l§8]§r`)
+      .join("");
+  }
+  /**
+   * Show the ranks of a player above their name
+   * @param {Player} player
+   * @example updateNameTag(player);
+   */
+  updateNameTag(player) {
+    player.nameTag = `${this.format(player)} §7${player.name}`;
+  }
+  /**
+   * Show the ranks of every online player above their name
+   * @example updateNameTags();
+   */
+  updateNameTags() {
+    for (const player of world.getPlayers()) this.updateNameTag(player);
+  }
+}
+export const RankBuild = new RankBuilder();
+
+world.events.playerJoin.subscribe(({ player }) => {
+  try {
+    RankBuild.updateNameTag(player);
+  } catch (error) {
+    console.warn(`${error} : ${error.stack}`);
+  }
+});
+
+/**
+ * The table permission grants are saved in
+ * @type {string}
+ */
+const PERMISSION_TABLE = "permissions";
+
+/**
+ * Grants used for a holder that has never been changed in game
+ * @type {Object<string, Array<string>>}
+ */
+const DEFAULT_PERMISSIONS = {
+  "tag:staff": ["*"],
+};
+
+/**
+ * Tests if a granted permission covers a node, "admin.*" covers every node
+ * under admin and "*" covers everything
+ * @param {string} node the permission that is needed
+ * @param {string} granted the permission that was granted
+ * @returns {boolean}
+ */
+function permissionMatches(node, granted) {
+  return (
+    granted === "*" ||
+    granted === node ||
+    (granted.endsWith(".*") && node.startsWith(granted.slice(0, -1)))
+  );
+}
+
+export class PermissionBuilder {
+  /**
+   * The table of grants by holder, made the first time it is needed
+   * @returns {Database}
+   */
+  get table() {
+    return (this._table ??= new Database(PERMISSION_TABLE, { cache: true }));
+  }
+  /**
+   * Get the permissions granted to a holder
+   * @param {string} holder A rank as "rank:<name>" or a tag as "tag:<name>"
+   * @returns {Array<string>}
+   * @example getGrants('rank:admin');
+   */
+  getGrants(holder) {
+    holder = holder.toLowerCase();
+    return this.table.has(holder)
+      ? this.table.get(holder)
+      : DEFAULT_PERMISSIONS[holder] ?? [];
+  }
+  /**
+   * Grant a permission to a holder
+   * @param {string} holder A rank as "rank:<name>" or a tag as "tag:<name>"
+   * @param {string} node The permission, can end in * to grant everything under it
+   * @example grant('rank:admin', 'admin.*');
+   */
+  grant(holder, node) {
+    const grants = this.getGrants(holder);
+    if (grants.includes(node.toLowerCase())) return;
+    this.table.set(holder.toLowerCase(), [...grants, node.toLowerCase()]);
+  }
+  /**
+   * Revoke a permission from a holder
+   * @param {string} holder A rank as "rank:<name>" or a tag as "tag:<name>"
+   * @param {string} node The permission exactly as it was granted
+   * @returns {boolean} If the holder had the permission
+   * @example revoke('rank:admin', 'admin.ban');
+   */
+  revoke(holder, node) {
+    const grants = this.getGrants(holder);
+    if (!grants.includes(node.toLowerCase())) return false;
+    this.table.set(
+      holder.toLowerCase(),
+      grants.filter((grant) => grant !== node.toLowerCase())
+    );
+    return true;
+  }
+  /**
+   * Get every holder and their permissions
+   * @returns {Object<string, Array<string>>}
+   * @example list();
+   */
+  list() {
+    return { ...DEFAULT_PERMISSIONS, ...this.table.getCollection() };
+  }
+  /**
+   * Test if a player has a permission through their tags or ranks
+   * @param {Player} player
+   * @param {string} node The permission needed
+   * @returns {boolean}
+   * @example has(player, 'admin.ban');
+   */
+  has(player, node) {
+    node = node.toLowerCase();
+    const holders = [
+      ...player.getTags().map((tag) => `tag:${tag}`),
+      ...RankBuild.getRanks(player).map((rank) => `rank:${rank.id}`),
+    ];
+    return holders.some((holder) =>
+      this.getGrants(holder).some((granted) => permissionMatches(node, granted))
+    );
+  }
+}
+export const PermissionBuild = new PermissionBuilder();
+
+/**
+ * The table the command audit log is saved in
+ * @type {string}
+ */
+const AUDIT_TABLE = "auditLog";
+
+/**
+ * How many entries the audit log keeps before the oldest are removed
+ * @type {number}
+ */
+const AUDIT_MAX_ENTRIES = 500;
+
+/**
+ * @typedef {Object} auditEntry
+ * @property {string} player Name of the player that ran the command
+ * @property {string} playerId Persistent id of the player
+ * @property {string} command The command path that ran, like "eco give"
+ * @property {string} args The arguments it ran with
+ * @property {string} dimension The dimension the player was in
+ * @property {{ x: number, y: number, z: number }} location Where the player was
+ * @property {number} time When it ran, in milliseconds
+ * @property {string} result "ok", or why it did not run
+ */
+
+/**
+ * Write command arguments as text for the audit log
+ * @param {Array<string> | Object<string, any>} args
+ * @returns {string}
+ */
+function describeArgs(args) {
+  if (Array.isArray(args)) return args.join(" ");
+  return Object.entries(args)
+    .filter(([, value]) => value !== undefined)
+    .map(
+      ([name, value]) =>
+        `${name}=${
+          value?.name ??
+          (typeof value === "string" ? value : JSON.stringify(value))
+        }`
+    )
+    .join(" ");
+}
+
+export class AuditBuilder {
+  /**
+   * The audit log table, made the first time it is needed
+   * @returns {Database}
+   */
+  get table() {
+    return (this._table ??= new Database(AUDIT_TABLE, { cache: true }));
+  }
+  /**
+   * Add an entry to the audit log, removing the oldest when it is full
+   * @param {Player} player The player that ran the command
+   * @param {string} command The command path that ran
+   * @param {Array<string> | Object<string, any>} args The arguments it ran with
+   * @param {string} result "ok", or why it did not run
+   * @returns {string | undefined} The key of the entry, undefined if it could not be saved
+   * @example record(player, 'eco give', ['notbeer', '5'], 'ok');
+   */
+  record(player, command, args, result) {
+    this._count = (this._count ?? 0) + 1;
+    const key = `${Date.now()}-${this._count}`;
+    try {
+      const { x, y, z } = player.location;
+      /** @type {auditEntry} */
+      const entry = {
+        player: player.name,
+        playerId: PlayerDatabase.getId(player),
+        command,
+        args: describeArgs(args),
+        dimension:
+          player.dimension?.id?.replace("minecraft:", "") ?? "unknown",
+        location: { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) },
+        time: Date.now(),
+        result,
+      };
+      this.table.transaction((data) => {
+        data[key] = entry;
+        const keys = Object.keys(data);
+        const extra = Math.max(keys.length - AUDIT_MAX_ENTRIES, 0);
+        for (const old of keys.slice(0, extra))
+          delete data[old];
+      });
+    } catch (error) {
+      console.warn(`${error} : ${error.stack}`);
+      return;
+    }
+    return key;
+  }
+  /**
+   * Change the result of an entry, for commands that fail after they start
+   * @param {string} key The key record returned
+   * @param {string} result
+   */
+  setResult(key, result) {
+    try {
+      const entry = this.table.get(key);
+      if (entry) this.table.set(key, { ...entry, result });
+    } catch (error) {
+      console.warn(`${error} : ${error.stack}`);
+    }
+  }
+  /**
+   * Get audit log entries, newest first
+   * @param {Object} [filter]
+   * @param {string} [filter.player] Only entries by this player name
+   * @param {string} [filter.command] Only entries of this command and its subcommands
+   * @returns {Array<auditEntry>}
+   * @example query({ command: 'eco' });
+   */
+  query({ player, command } = {}) {
+    return this.table
+      .values()
+      .filter(
+        (entry) =>
+          (!player || entry.player.toLowerCase() === player.toLowerCase()) &&
+          (!command ||
+            entry.command === command ||
+            entry.command.startsWith(`${command} `))
+      )
+      .reverse();
+  }
+  /**
+   * Write an entry as one line of chat
+   * @param {auditEntry} entry
+   * @returns {string}
+   */
+  format(entry) {
+    const { x, y, z } = entry.location;
+    return `§7${new Date(entry.time)
+      .toISOString()
+      .slice(5, 16)
+      .replace("T", " ")} §e${entry.player}§r ${CommandBuild.prefix}${[
+      entry.command,
+      entry.args,
+    ]
+      .filter((part) => part)
+      .join(" ")} §7(${entry.dimension} ${x} ${y} ${z}) ${
+      entry.result === "ok" ? "§aok" : `§c${entry.result}`
+    }`;
+  }
+}
+export const AuditBuild = new AuditBuilder();
+
+/**
+ * Matches one command argument, text in double quotes with escapes, text in
+ * single quotes or a word
+ * @type {RegExp}
+ */
+const ARGUMENT_PATTERN = /"((?:\\.|[^"\\])*)"|'([^']*)'|(\S+)/;
+
+/**
+ * @typedef {Object} argumentSchema
+ * @property {string} name Name the parsed value is given to the callback under
+ * @property {"string" | "int" | "float" | "boolean" | "enum" | "player" | "location" | "greedy"} type How the argument is parsed
+ * @property {boolean} [optional] If the argument can be left out
+ * @property {any} [default] Value used when the argument is left out, makes it optional
+ * @property {Array<string>} [values] The values an enum can be
+ * @property {number} [min] Smallest value an int or float can be
+ * @property {number} [max] Biggest value an int or float can be
+ */
+
+/**
+ * The argument types commands can use. parse gets the arguments that are
+ * left, and the text they were typed as, and returns the value and how many
+ * arguments it used, or nothing if the input is not valid. field adds the
+ * argument to a command form and returns how to read its answer, types
+ * without one get a text box
+ * @type {Object<string, { describe: (schema: argumentSchema) => string, parse: (args: Array<string>, schema: argumentSchema, player: Player, raw?: string) => { value: any, length: number } | undefined, field?: (form: ModalForm, label: string, schema: argumentSchema, player: Player, players: Array<Player>) => ((answer: any) => any) | undefined }>}
+ */
+const ARGUMENT_TYPES = {
+  string: {
+    describe: () => "text",
+    parse: ([arg]) => ({ value: arg, length: 1 }),
+  },
+  int: {
+    describe: ({ min, max }) =>
+      `whole number${min !== undefined ? ` from ${min}` : ""}${
+        max !== undefined ? ` up to ${max}` : ""
+      }`,
+    parse: ([arg], { min = -Infinity, max = Infinity }) => {
+      if (!/^-?\d+$/.test(arg)) return;
+      const value = parseInt(arg);
+      if (value < min || value > max) return;
+      return { value, length: 1 };
+    },
+    field: (form, label, { min, max, default: value }) => {
+      if (min === undefined || max === undefined || min >= max) return;
+      form.addSlider(label, min, max, 1, value ?? min);
+      return (answer) => answer;
+    },
+  },
+  float: {
+    describe: ({ min, max }) =>
+      `number${min !== undefined ? ` from ${min}` : ""}${
+        max !== undefined ? ` up to ${max}` : ""
+      }`,
+    parse: ([arg], { min = -Infinity, max = Infinity }) => {
+      if (!/^-?(\d+\.?\d*|\.\d+)$/.test(arg)) return;
+      const value = parseFloat(arg);
+      if (value < min || value > max) return;
+      return { value, length: 1 };
+    },
+  },
+  boolean: {
+    describe: () => "true or false",
+    parse: ([arg]) => {
+      const value = {
+        true: true,
+        yes: true,
+        on: true,
+        false: false,
+        no: false,
+        off: false,
+      }[arg.toLowerCase()];
+      if (value === undefined) return;
+      return { value, length: 1 };
+    },
+    field: (form, label, schema) => {
+      form.addToggle(label, schema.default ?? false);
+      return (answer) => answer;
+    },
+  },
+  enum: {
+    describe: ({ values }) => values.join(" | "),
+    parse: ([arg], { values }) => {
+      const value = values.find((v) => v.toLowerCase() === arg.toLowerCase());
+      if (value === undefined) return;
+      return { value, length: 1 };
+    },
+    field: (form, label, { values, default: value }) => {
+      form.addDropdown(label, values, Math.max(values.indexOf(value), 0));
+      return (answer) => values[answer];
+    },
+  },
+  player: {
+    describe: () => "online player",
+    parse: ([arg], schema, player) => {
+      const value = arg === "@s" ? player : PlayerBuild.fetch(arg);
+      if (!value) return;
+      return { value, length: 1 };
+    },
+    field: (form, label, schema, player, players) => {
+      form.addDropdown(
+        label,
+        players.map((p) => p.name),
+        Math.max(players.indexOf(player), 0)
+      );
+      return (answer) => players[answer];
+    },
+  },
+  location: {
+    describe: () => "x y z location",
+    parse: (args, schema, { location, viewVector }) => {
+      const coords = args.slice(0, 3);
+      if (coords.length < 3) return;
+      const coordinate = /^([~^]-?|-?)(\d+\.?\d*|\.\d+)?$/;
+      if (!coords.every((arg) => coordinate.test(arg))) return;
+      const value = parseLocationAugs(coords, {
+        location: [location.x, location.y, location.z],
+        viewVector: [viewVector.x, viewVector.y, viewVector.z],
+      });
+      if (value instanceof Error) return;
+      return { value, length: 3 };
+    },
+  },
+  greedy: {
+    describe: () => "text",
+    parse: (args, schema, player, raw) => ({
+      value: raw ?? args.join(" "),
+      length: args.length,
+    }),
+  },
+};
+
+/**
+ * How many times to try showing a command form again while the player still
+ * has chat open, half a second apart
+ * @type {number}
+ */
+const FORM_RETRIES = 20;
+
+/**
+ * Players with this tag skip command cooldowns and use limits
+ * @type {string}
+ */
+const COOLDOWN_BYPASS_TAG = "cooldownBypass";
+
+/**
+ * The table cooldowns of commands registered with persist are saved in
+ * @type {string}
+ */
+const COOLDOWN_TABLE = "cooldowns";
+
+/**
+ * Write a time in milliseconds the way players read it
+ * @param {number} ms
+ * @returns {string}
+ * @example formatDuration(65000); // "1m 5s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  const parts = [];
+  if (seconds >= 3600) parts.push(`${Math.floor(seconds / 3600)}h`);
+  if (seconds >= 60) parts.push(`${Math.floor(seconds / 60) % 60}m`);
+  if (seconds % 60 || !parts.length) parts.push(`${seconds % 60}s`);
+  return parts.join(" ");
+}
+
+/**
+ * The most edits a mistyped command can be from a command to be suggested,
+ * shorter names get one edit for every two characters
+ * @type {number}
+ */
+const MAX_SUGGESTION_DISTANCE = 2;
+
+/**
+ * Count the single character inserts, deletes and changes to turn one string into another
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ * @example editDistance('hepl', 'help'); // 2
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++)
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Read a time like "30s", "10m", "2h" or "1d" as milliseconds
+ * @param {string} text
+ * @returns {number | undefined} Nothing if the text is not a time
+ * @example parseDuration('10m'); // 600000
+ */
+function parseDuration(text) {
+  const match = /^(\d+\.?\d*)(s|m|h|d)$/i.exec(text);
+  if (!match) return;
+  return (
+    parseFloat(match[1]) *
+    { s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2].toLowerCase()]
+  );
+}
+
+export class CommandBuilder {
+    constructor() {
+      this.prefix = ".";
+      this._registrationInformation = [];
+      this._uses = new Map();
+    }
+    /**
+     * Register a command with a callback. With a args schema the callback gets
+     * the parsed values by name, and bad input gets a usage error instead.
+     * With a permission only players granted it can run the command. Commands
+     * can have subcommands, which take the same information plus a callback
+     * and can have subcommands of their own. A cooldown or limit of uses per
+     * window in milliseconds is kept for each player, and saved in a Database
+     * when persist is set. With form set, running a command that has args
+     * without typing any opens a form to fill them in. With hideArgs the audit
+     * log keeps that the command ran but not what was typed after it
+     * @param {registerInformation} register An object of information needed to register the custom command
+     * @param {(data: BeforeChatEvent, args: Array<string> | Object<string, any>) => void} callback Code you want to execute when the command is executed
+     * @example import { Server } from "../../Minecraft";
+     *  Server.commands.register({ name: 'ping' }, (data, args) => {
+     *  Server.broadcast('Pong!', data.sender.name);
+     * });
+     * @example CommandBuild.register({
+     *   name: 'pay',
+     *   permission: 'economy.pay',
+     *   args: [
+     *     { name: 'target', type: 'player' },
+     *     { name: 'amount', type: 'int', min: 1 },
+     *   ],
+     * }, (data, { target, amount }) => {});
+     * @example CommandBuild.register({
+     *   name: 'spawn',
+     *   cooldown: 10000,
+     *   limit: { uses: 5, window: 600000 },
+     *   persist: true,
+     * }, (data) => {});
+     * @example CommandBuild.register({
+     *   name: 'note',
+     *   hideArgs: true,
+     *   args: [{ name: 'text', type: 'greedy' }],
+     * }, (data, { text }) => {});
+     * @example CommandBuild.register({
+     *   name: 'eco',
+     *   subcommands: [
+     *     {
+     *       name: 'give',
+     *       permission: 'eco.give',
+     *       args: [{ name: 'amount', type: 'int' }],
+     *       callback: (data, { amount }) => {},
+     *     },
+     *   ],
+     * });
+     */
+    register(register, callback) {
+      this._registrationInformation.push(
+        this.buildRegistration(register, callback)
+      );
+    }
+    /**
+     * Build the stored information of a command and its subcommands
+     * @param {registerInformation} register The information the command was registered with
+     * @param {Function} callback Code you want to execute when the command is executed
+     * @param {storedRegisterInformation} [parent] The command this is a subcommand of
+     * @returns {storedRegisterInformation}
+     */
+    buildRegistration(register, callback, parent) {
+      const name = register.name.toLowerCase();
+      const command = {
+        private: register.private ? true : false,
+        cancelMessage: register.cancelMessage ? true : false,
+        name,
+        path: parent ? `${parent.path} ${name}` : name,
+        aliases: register.aliases
+          ? register.aliases.map((v) => v.toLowerCase())
+          : null,
+        description: register.description,
+        usage: register.usage,
+        example: register.example ? register.example : null,
+        args: register.args ? register.args : null,
+        permission: register.permission
+          ? register.permission.toLowerCase()
+          : null,
+        cooldown: register.cooldown ?? 0,
+        limit: register.limit ?? null,
+        persist: register.persist ? true : false,
+        form: register.form ? true : false,
+        hideArgs: register.hideArgs ? true : false,
+        callback,
+      };
+      command.subcommands = register.subcommands
+        ? register.subcommands.map((subcommand) =>
+            this.buildRegistration(subcommand, subcommand.callback, command)
+          )
+        : null;
+      return command;
+    }
+    /**
+     * Get a list of registered commands
+     * @returns {Array<string>}
+     * @example get();
+     */
+    get() {
+      const commands = [];
+      this._registrationInformation.forEach((element) => {
+        if (element.private) return;
+        commands.push(element.name);
+      });
+      return commands;
+    }
+    /**
+     * Get all the registered informations
+     * @returns {Array<storedRegisterInformation>}
+     * @example getAllRegistration();
+     */
+    getAllRegistation() {
+      return this._registrationInformation;
+    }
+    /**
+     * Get registration information on a specific command, private commands
+     * are found too since private only hides them from get()
+     * @param name The command name or alias you want to get information on
+     * @returns {storedRegisterInformation}
+     * @example getRegistration('ping');
+     */
+    getRegistration(name) {
+      name = name?.toLowerCase();
+      return this._registrationInformation.find(
+        (element) =>
+          element.name === name ||
+          (element.aliases && element.aliases.includes(name))
+      );
+    }
+    /**
+     * Follow the arguments down the subcommands of a command as far as they match
+     * @param {storedRegisterInformation} command The registered command
+     * @param {Array<string>} args The arguments after the command name
+     * @returns {{ command: storedRegisterInformation, path: Array<storedRegisterInformation>, args: Array<string> }}
+     * The deepest subcommand that matched, every command on the way to it and the arguments left
+     * @example resolve(getRegistration('eco'), ['give', 'notbeer', '5']);
+     */
+    resolve(command, args) {
+      const path = [command];
+      let index = 0;
+      while (command.subcommands && index < args.length) {
+        const name = args[index].toLowerCase();
+        const subcommand = command.subcommands.find(
+          (element) =>
+            element.name === name ||
+            (element.aliases && element.aliases.includes(name))
+        );
+        if (!subcommand) break;
+        command = subcommand;
+        path.push(subcommand);
+        index++;
+      }
+      return { command, path, args: args.slice(index) };
+    }
+    /**
+     * Test if a player has the permissions of every command on a path
+     * @param {Player} player
+     * @param {Array<storedRegisterInformation>} path
+     * @returns {boolean}
+     */
+    canRun(player, path) {
+      return path.every(
+        (command) =>
+          !command.permission || PermissionBuild.has(player, command.permission)
+      );
+    }
+    /**
+     * The table persisted cooldowns are saved in, made the first time it is needed
+     * @returns {Database}
+     */
+    get cooldowns() {
+      return (this._cooldowns ??= new Database(COOLDOWN_TABLE, { cache: true }));
+    }
+    /**
+     * Get the times a player used a command that still count towards its
+     * cooldown or limit
+     * @param {Player} player
+     * @param {storedRegisterInformation} command The registered command
+     * @returns {Array<number>}
+     */
+    getUses(player, command) {
+      const key = `${PlayerDatabase.getId(player)}:${command.path}`;
+      const uses =
+        (command.persist ? this.cooldowns.get(key) : this._uses.get(key)) ?? [];
+      const since =
+        Date.now() - Math.max(command.cooldown, command.limit?.window ?? 0);
+      return uses.filter((time) => time > since);
+    }
+    /**
+     * Get how long a player has to wait before they can use a command again
+     * @param {Player} player
+     * @param {storedRegisterInformation} command The registered command
+     * @returns {number} Milliseconds left, 0 if they can use it now
+     * @example getCooldown(player, getRegistration('spawn'));
+     */
+    getCooldown(player, command) {
+      if (!command.cooldown && !command.limit) return 0;
+      const uses = this.getUses(player, command);
+      const now = Date.now();
+      let wait = uses.length ? Math.max(...uses) + command.cooldown - now : 0;
+      if (command.limit) {
+        const recent = uses
+          .filter((time) => time > now - command.limit.window)
+          .sort((a, b) => b - a);
+        if (recent.length >= command.limit.uses)
+          wait = Math.max(
+            wait,
+            recent[command.limit.uses - 1] + command.limit.window - now
+          );
+      }
+      return Math.max(wait, 0);
+    }
+    /**
+     * Count a use of a command towards its cooldown and limit
+     * @param {Player} player
+     * @param {storedRegisterInformation} command The registered command
+     * @example recordUse(player, getRegistration('spawn'));
+     */
+    recordUse(player, command) {
+      if (!command.cooldown && !command.limit) return;
+      const key = `${PlayerDatabase.getId(player)}:${command.path}`;
+      const uses = [...this.getUses(player, command), Date.now()];
+      if (!command.persist) return this._uses.set(key, uses);
+      this.cooldowns.set(key, uses, {
+        ttl: Math.max(command.cooldown, command.limit?.window ?? 0),
+      });
+    }
+    /**
+     * Test if a player has to wait to use a command, and tell them how long
+     * @param {Player} player
+     * @param {storedRegisterInformation} command The registered command
+     * @param {Array<string> | Object<string, any>} args The arguments for the audit log
+     * @returns {boolean}
+     * @example isCoolingDown(player, getRegistration('pay'), ['notbeer', '5']);
+     */
+    isCoolingDown(player, command, args) {
+      const wait = player.hasTag(COOLDOWN_BYPASS_TAG)
+        ? 0
+        : this.getCooldown(player, command);
+      if (wait <= 0) return false;
+      tell(
+        player,
+        `§cYou can use ${this.prefix}${command.path} again in ${formatDuration(
+          wait
+        )}`
+      );
+      this.audit(player, command, args, "cooldown");
+      return true;
+    }
+    /**
+     * Add a use of a command to the audit log, without its arguments when it
+     * was registered with hideArgs
+     * @param {Player} player The player that used the command
+     * @param {storedRegisterInformation} command The registered command
+     * @param {Array<string> | Object<string, any>} args The arguments it was used with
+     * @param {string} result "ok", or why it did not run
+     * @returns {string | undefined} The key of the audit log entry
+     * @example audit(player, getRegistration('msg'), ['notbeer', 'hi'], 'ok');
+     */
+    audit(player, command, args, result) {
+      return AuditBuild.record(
+        player,
+        command.path,
+        command.hideArgs ? ["(hidden)"] : args,
+        result
+      );
+    }
+    /**
+     * Split a command into its arguments, text in quotes stays one argument
+     * @param {string} message The command without the prefix
+     * @returns {Array<string>}
+     * @example parseArguments('give "Smell of curry" diamond 5');
+     */
+    parseArguments(message) {
+      const args = [];
+      const regex = new RegExp(ARGUMENT_PATTERN, "g");
+      let match;
+      while ((match = regex.exec(message))) {
+        args.push(
+          match[1] !== undefined
+            ? match[1].replace(/\\(.)/g, "$1")
+            : match[2] ?? match[3]
+        );
+      }
+      return args;
+    }
+    /**
+     * Get the text of a command after some of its arguments, as it was typed
+     * @param {string} message The command without the prefix
+     * @param {number} count How many arguments to skip
+     * @returns {string}
+     * @example getRawArguments('msg notbeer  "hi"  there', 2);
+     */
+    getRawArguments(message, count) {
+      const regex = new RegExp(ARGUMENT_PATTERN, "g");
+      for (let i = 0; i < count && regex.exec(message); i++);
+      return message.slice(regex.lastIndex).trim();
+    }
+    /**
+     * Get how to use a command, the registered usage or one made from its args
+     * @param {storedRegisterInformation} command The registered command
+     * @returns {string}
+     * @example getUsage(getRegistration('pay'));
+     */
+    getUsage(command) {
+      if (command.usage) return command.usage;
+      if (command.subcommands && !command.args)
+        return `${command.path} <${command.subcommands
+          .map((subcommand) => subcommand.name)
+          .join(" | ")}>`;
+      return [
+        command.path,
+        ...(command.args ?? []).map((schema) =>
+          schema.optional || schema.default !== undefined
+            ? `[${schema.name}: ${schema.type}]`
+            : `<${schema.name}: ${schema.type}>`
+        ),
+      ].join(" ");
+    }
+    /**
+     * Get the commands a player can see and is allowed to run
+     * @param {Player} player
+     * @returns {Array<storedRegisterInformation>}
+     * @example getAvailable(player);
+     */
+    getAvailable(player) {
+      return this._registrationInformation.filter(
+        (command) => !command.private && this.canRun(player, [command])
+      );
+    }
+    /**
+     * Get the names and aliases of the commands that start with a partial name
+     * @param {string} partial The start of a command name
+     * @param {Player} [player] Only list commands this player can use
+     * @returns {Array<string>}
+     * @example complete('he');
+     */
+    complete(partial, player) {
+      partial = partial.toLowerCase();
+      return this.getNames(player).filter((name) => name.startsWith(partial));
+    }
+    /**
+     * Get the command names and aliases closest to a mistyped name
+     * @param {string} name The name that was typed
+     * @param {Player} [player] Only suggest commands this player can use
+     * @param {number} [amount] The most names to return
+     * @returns {Array<string>}
+     * @example suggest('hepl');
+     */
+    suggest(name, player, amount = 3) {
+      name = name.toLowerCase();
+      const maxDistance = Math.min(
+        MAX_SUGGESTION_DISTANCE,
+        Math.floor(name.length / 2)
+      );
+      return this.getNames(player)
+        .map((candidate) => ({
+          candidate,
+          distance: candidate.startsWith(name)
+            ? 0
+            : editDistance(name, candidate),
+        }))
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, amount)
+        .map(({ candidate }) => candidate);
+    }
+    /**
+     * Get every name and alias of the commands that are not private
+     * @param {Player} [player] Only include commands this player can use
+     * @returns {Array<string>}
+     */
+    getNames(player) {
+      return (
+        player
+          ? this.getAvailable(player)
+          : this._registrationInformation.filter((command) => !command.private)
+      ).flatMap((command) => [command.name, ...(command.aliases ?? [])]);
+    }
+    /**
+     * Get the full details of a command, one line each
+     * @param {storedRegisterInformation} command The registered command
+     * @param {Player} [player] Only list the subcommands this player can run
+     * @returns {Array<string>}
+     * @example getHelp(getRegistration('pay'));
+     */
+    getHelp(command, player) {
+      const lines = [`§e${this.prefix}${command.path}`];
+      if (command.description) lines.push(`§7${command.description}`);
+      if (command.aliases?.length)
+        lines.push(`§rAliases: §7${command.aliases.join(", ")}`);
+      lines.push(`§rUsage: §7${this.prefix}${this.getUsage(command)}`);
+      if (command.example)
+        lines.push(`§rExample: §7${this.prefix}${command.example}`);
+      const subcommands = (command.subcommands ?? []).filter(
+        (subcommand) => !player || this.canRun(player, [subcommand])
+      );
+      if (subcommands.length) lines.push("§rSubcommands:");
+      for (const subcommand of subcommands)
+        lines.push(
+          `§e${this.prefix}${subcommand.path}§r ${subcommand.description ?? ""}`
+        );
+      return lines;
+    }
+    /**
+     * Parse arguments with the args schema of a command
+     * @param {storedRegisterInformation} command The registered command
+     * @param {Array<string>} args The arguments that were typed
+     * @param {Player} player The player that ran the command
+     * @param {string} [raw] The arguments as they were typed, greedy arguments
+     * keep their quotes and spacing from it
+     * @returns {{ args?: Object<string, any>, error?: string }}
+     * @example parseSchema(getRegistration('pay'), ['notbeer', '5'], player);
+     */
+    parseSchema(command, args, player, raw) {
+      const parsed = {};
+      let index = 0;
+      for (const schema of command.args) {
+        const rest = args.slice(index);
+        if (!rest.length) {
+          if (!schema.optional && schema.default === undefined)
+            return { error: `Missing ${schema.name}` };
+          parsed[schema.name] = schema.default;
+          continue;
+        }
+        const result = ARGUMENT_TYPES[schema.type].parse(
+          rest,
+          schema,
+          player,
+          raw === undefined ? undefined : this.getRawArguments(raw, index)
+        );
+        if (!result)
+          return {
+            error: `"${rest[0]}" is not a valid ${
+              schema.name
+            }, expected ${ARGUMENT_TYPES[schema.type].describe(schema)}`,
+          };
+        parsed[schema.name] = result.value;
+        index += result.length;
+      }
+      if (index < args.length)
+        return { error: `Too many arguments, "${args[index]}" was not expected` };
+      return { args: parsed };
+    }
+    /**
+     * Show a player a form built from the args schema of a command, and run the
+     * command with the answers when they submit it
+     * @param {Player} player
+     * @param {storedRegisterInformation} command The registered command
+     * @param {BeforeChatEvent} [data] The chat event given to the callback
+     * @example openForm(player, getRegistration('pay'));
+     */
+    openForm(
+      player,
+      command,
+      data = { sender: player, message: `${this.prefix}${command.path}` }
+    ) {
+      const players = [...world.getPlayers()];
+      const form = new ModalForm();
+      form.setTitle(`${this.prefix}${command.path}`);
+      const readers = command.args.map((schema) => {
+        const label =
+          schema.optional || schema.default !== undefined
+            ? `${schema.name} (optional)`
+            : schema.name;
+        const read = ARGUMENT_TYPES[schema.type].field?.(
+          form,
+          label,
+          schema,
+          player,
+          players
+        );
+        if (read)
+          return (answer) => ({ args: { [schema.name]: read(answer) } });
+        form.addInput(
+          label,
+          ARGUMENT_TYPES[schema.type].describe(schema),
+          schema.default !== undefined ? String(schema.default) : ""
+        );
+        // A text box holds one string answer, so spaces don't split it
+        const type = schema.type === "string" ? "greedy" : schema.type;
+        return (answer) =>
+          this.parseSchema(
+            { args: [{ ...schema, type }] },
+            this.parseArguments(answer),
+            player,
+            answer
+          );
+      });
+      const show = (retries) =>
+        form.send(player.name, (res) => {
+          if (res.isCanceled) {
+            if (res.cancelationReason === "userBusy" && retries > 0)
+              setTickTimeout(() => show(retries - 1), 10);
+            return;
+          }
+          const parsed = {};
+          for (const [i, read] of readers.entries()) {
+            const result = read(res.formValues[i]);
+            if (result.error)
+              return tell(
+                player,
+                `§c${result.error}\n§7Usage: ${this.prefix}${this.getUsage(
+                  command
+                )}`
+              );
+            Object.assign(parsed, result.args);
+          }
+          if (this.isCoolingDown(player, command, parsed)) return;
+          this.execute(data, command, parsed);
+        });
+      show(FORM_RETRIES);
+    }
+    /**
+     * Run the callback of a command, errors it throws are shown to the player
+     * @param {BeforeChatEvent} data The chat event
+     * @param {storedRegisterInformation} command The registered command
+     * @param {Array<string> | Object<string, any>} args The arguments given to the callback
+     */
+    execute(data, command, args) {
+      if (!data.sender.hasTag(COOLDOWN_BYPASS_TAG))
+        this.recordUse(data.sender, command);
+      let entry;
+      const onError = (error) => {
+        console.warn(`${error} : ${error?.stack}`);
+        if (entry)
+          AuditBuild.setResult(entry, `error: ${error?.message ?? error}`);
+        tell(
+          data.sender,
+          `§cSomething went wrong running "${command.path}": ${
+            error?.message ?? error
+          }`
+        );
+      };
+      let result;
+      let threw = false;
+      try {
+        result = command.callback(data, args);
+      } catch (error) {
+        threw = true;
+        result = error;
+      }
+      // Recording never throws, so a failed record can't fail the command
+      entry = this.audit(data.sender, command, args, threw ? "error" : "ok");
+      if (threw) onError(result);
+      else if (result instanceof Promise) result.catch(onError);
+    }
+    /**
+     * Run the command in a chat message if a name follows the prefix. Errors
+     * thrown by the command are caught and shown to the player
+     * @param {BeforeChatEvent} data The chat event
+     * @returns {boolean} If a command was found
+     * @example world.events.beforeChat.subscribe((data) => CommandBuild.dispatch(data));
+     */
+    dispatch(data) {
+      if (!data.message.startsWith(this.prefix)) return false;
+      const text = data.message.slice(this.prefix.length);
+      // Only a name right after the prefix is a command, so "..." stays chat
+      if (!/^[\w?]/.test(text)) return false;
+      const [name, ...typed] = this.parseArguments(text);
+      const root = this.getRegistration(name);
+      if (!root) {
+        data.cancel = true;
+        const suggestions = name ? this.suggest(name, data.sender) : [];
+        tell(
+          data.sender,
+          `§cUnknown command "${name ?? ""}"${
+            suggestions.length
+              ? `\n§7Did you mean ${suggestions
+                  .map((suggestion) => `${this.prefix}${suggestion}`)
+                  .join(", ")}?`
+              : ""
+          }`
+        );
+        return false;
+      }
+      if (root.cancelMessage) data.cancel = true;
+      const { command, path, args } = this.resolve(root, typed);
+      if (!this.canRun(data.sender, path)) {
+        data.cancel = true;
+        tell(data.sender, "§cYou don't have permission to use this command");
+        this.audit(data.sender, command, args, "no permission");
+        return true;
+      }
+      if (!command.callback) {
+        tell(
+          data.sender,
+          `§c${
+            args.length
+              ? `Unknown subcommand "${args[0]}" for ${this.prefix}${command.path}`
+              : `${this.prefix}${command.path} needs a subcommand`
+          }\n§7Usage: ${this.prefix}${this.getUsage(command)}`
+        );
+        this.audit(data.sender, command, args, "no subcommand");
+        return true;
+      }
+      if (this.isCoolingDown(data.sender, command, args)) return true;
+      if (command.form && command.args && !args.length) {
+        data.cancel = true;
+        this.openForm(data.sender, command, data);
+        return true;
+      }
+      let parsed = args;
+      if (command.args) {
+        const result = this.parseSchema(
+          command,
+          args,
+          data.sender,
+          this.getRawArguments(text, 1 + typed.length - args.length)
+        );
+        if (result.error) {
+          tell(
+            data.sender,
+            `§c${result.error}\n§7Usage: ${this.prefix}${this.getUsage(command)}`
+          );
+          this.audit(data.sender, command, args, result.error);
+          return true;
+        }
+        parsed = result.args;
+      }
+      this.execute(data, command, parsed);
+      return true;
+    }
+  }
+  export const CommandBuild = new CommandBuilder();
+
+  world.events.beforeChat.subscribe((data) => CommandBuild.dispatch(data));
+
+/**
+ * How to use the database command
+ */
+const DATABASE_USAGE =
+  "database <check | backup | restore | export | import> <table> [dump]";
+
+CommandBuild.register(
+  {
+    name: "database",
+    aliases: ["db"],
+    cancelMessage: true,
+    description:
+      "Check, back up or restore a Database table, or export it to the content log and import that dump",
+    usage: DATABASE_USAGE,
+    example: "database backup coins",
+    permission: "database.manage",
+    args: [
+      {
+        name: "action",
+        type: "enum",
+        values: ["check", "backup", "restore", "export", "import"],
+      },
+      { name: "table", type: "string" },
+      { name: "dump", type: "greedy", optional: true },
+    ],
+  },
+  (data, { action, table, dump }) => {
+    if (action === "import" ? !dump : dump)
+      return tell(data.sender, `§cUsage: ${DATABASE_USAGE}`);
+    if (action !== "import" && !Database.exists(table))
+      return tell(data.sender, `§cThere is no table "${table}"`);
+    /** @type {Array<Database>} */
+    const opened = [];
+    const open = (name) => {
+      const db = new Database(name);
+      opened.push(db);
+      return db;
+    };
+    try {
+      const db = open(table);
+      switch (action) {
+        case "check":
+          return tell(
+            data.sender,
+            db.CORRUPTED.length
+              ? `§c${db.corruptedError().message}`
+              : `§aTable "${table}" is fine, ${db.MEMORY.length} chunk(s)`
+          );
+        case "backup":
+          open(`${table}_backup`).set("dump", db.export());
+          return tell(data.sender, `§aBacked up "${table}"`);
+        case "restore": {
+          const backup = Database.exists(`${table}_backup`)
+            ? open(`${table}_backup`).get("dump")
+            : undefined;
+          if (!backup)
+            return tell(data.sender, `§cThere is no backup of "${table}"`);
+          db.import(backup);
+          return tell(data.sender, `§aRestored "${table}" from its backup`);
+        }
+        case "export":
+          console.warn(db.export());
+          return tell(data.sender, `§aExported "${table}" to the content log`);
+        case "import":
+          db.import(dump);
+          return tell(data.sender, `§aImported the dump into "${table}"`);
+      }
+    } catch (error) {
+      tell(data.sender, `§c${error.message}`);
+    } finally {
+      for (const db of opened) db.close();
+    }
+  }
+);
+
+CommandBuild.register(
+  {
+    name: "permission",
+    aliases: ["perm"],
+    cancelMessage: true,
+    description: "Grant, revoke or list the permissions of ranks and tags",
+    usage:
+      "permission <grant | revoke | list> [rank:<name> | tag:<name>] [node]",
+    example: "permission grant rank:admin admin.*",
+    permission: "permission.manage",
+    args: [
+      { name: "action", type: "enum", values: ["grant", "revoke", "list"] },
+      { name: "holder", type: "string", optional: true },
+      { name: "node", type: "string", optional: true },
+    ],
+  },
+  (data, { action, holder, node }) => {
+    if (holder && !/^(rank|tag):./i.test(holder))
+      return tell(
+        data.sender,
+        `§c"${holder}" should be rank:<name> or tag:<name>`
+      );
+    if (action === "list") {
+      const grants = holder
+        ? { [holder.toLowerCase()]: PermissionBuild.getGrants(holder) }
+        : PermissionBuild.list();
+      return tell(
+        data.sender,
+        Object.entries(grants)
+          .map(
+            ([holder, nodes]) =>
+              `§e${holder}§r: ${nodes.join(", ") || "§7none"}`
+          )
+          .join("\n") || "§7No permissions have been granted"
+      );
+    }
+    if (!holder || !node)
+      return tell(
+        data.sender,
+        `§cUsage: ${CommandBuild.prefix}permission ${action} <holder> <node>`
+      );
+    if (action === "grant") {
+      PermissionBuild.grant(holder, node);
+      return tell(data.sender, `§aGranted ${node} to ${holder}`);
+    }
+    tell(
+      data.sender,
+      PermissionBuild.revoke(holder, node)
+        ? `§aRevoked ${node} from ${holder}`
+        : `§c${holder} was not granted ${node}`
+    );
+  }
+);
+
+/**
+ * Find a player for the rank command, online players so their name tag
+ * updates, otherwise their id
+ * @param {string} name
+ * @returns {Player | string | undefined}
+ */
+function findRankTarget(name) {
+  return PlayerBuild.fetch(name) ?? PlayerDatabase.resolve(name);
+}
+
+CommandBuild.register(
+  {
+    name: "rank",
+    aliases: ["ranks"],
+    cancelMessage: true,
+    description: "Manage ranks and the ranks players have",
+    subcommands: [
+      {
+        name: "add",
+        description: "Give a player a rank",
+        permission: "rank.manage",
+        args: [
+          { name: "player", type: "string" },
+          { name: "rank", type: "string" },
+        ],
+        callback: (data, { player, rank }) => {
+          const target = findRankTarget(player);
+          if (!target)
+            return tell(data.sender, `§c"${player}" has never joined`);
+          if (!RankBuild.get(rank))
+            return tell(data.sender, `§cThere is no rank "${rank}"`);
+          tell(
+            data.sender,
+            RankBuild.add(target, rank)
+              ? `§aGave ${player} the rank ${rank}`
+              : `§c${player} already has the rank ${rank}`
+          );
+        },
+      },
+      {
+        name: "remove",
+        description: "Take a rank from a player",
+        permission: "rank.manage",
+        args: [
+          { name: "player", type: "string" },
+          { name: "rank", type: "string" },
+        ],
+        callback: (data, { player, rank }) => {
+          const target = findRankTarget(player);
+          if (!target)
+            return tell(data.sender, `§c"${player}" has never joined`);
+          tell(
+            data.sender,
+            RankBuild.remove(target, rank)
+              ? `§aTook the rank ${rank} from ${player}`
+              : `§c${player} does not have the rank ${rank}`
+          );
+        },
+      },
+      {
+        name: "list",
+        description: "List every rank, or the ranks of a player",
+        args: [{ name: "player", type: "string", optional: true }],
+        callback: (data, { player }) => {
+          const target = player && findRankTarget(player);
+          if (player && !target)
+            return tell(data.sender, `§c"${player}" has never joined`);
+          const ranks = target ? RankBuild.getRanks(target) : RankBuild.list();
+          tell(
+            data.sender,
+            [
+              target ? `§e--- Ranks of ${player} ---` : "§e--- Ranks ---",
+              ...ranks.map(
+                (rank) =>
+                  `§e${rank.id}§r ${rank.color}${rank.display}§r §7priority ${
+                    rank.priority
+                  }${rank.isDefault ? ", default" : ""}`
+              ),
+            ].join("\n")
+          );
+        },
+      },
+      {
+        name: "create",
+        aliases: ["edit"],
+        description: "Add or change a rank",
+        permission: "rank.manage",
+        args: [
+          { name: "id", type: "string" },
+          { name: "color", type: "string" },
+          { name: "priority", type: "int" },
+          { name: "display", type: "greedy", optional: true },
+        ],
+        callback: (data, { id, color, priority, display }) => {
+          const existing = RankBuild.get(id);
+          RankBuild.define(id, {
+            display: display ?? existing?.display ?? id,
+            color: color.startsWith("§") ? color : `§${color}`,
+            priority,
+            isDefault: existing?.isDefault ?? false,
+          });
+          tell(data.sender, `§aSaved the rank ${id}`);
+        },
+      },
+      {
+        name: "delete",
+        description: "Remove a rank from the server and every player",
+        permission: "rank.manage",
+        args: [{ name: "id", type: "string" }],
+        callback: (data, { id }) =>
+          tell(
+            data.sender,
+            RankBuild.undefine(id)
+              ? `§aDeleted the rank ${id}`
+              : `§cThere is no rank "${id}"`
+          ),
+      },
+      {
+        name: "default",
+        description: "Set the rank players without any rank get",
+        permission: "rank.manage",
+        args: [{ name: "id", type: "string" }],
+        callback: (data, { id }) => {
+          const rank = RankBuild.get(id);
+          if (!rank) return tell(data.sender, `§cThere is no rank "${id}"`);
+          RankBuild.define(rank.id, { ...rank, isDefault: true });
+          tell(data.sender, `§a${rank.id} is now the default rank`);
+        },
+      },
+    ],
+  }
+);
+
+/**
+ * How many commands the help command shows on each page
+ * @type {number}
+ */
+const HELP_PAGE_SIZE = 7;
+
+/**
+ * Show a player a menu of the commands they can use, tapping one shows its details
+ * @param {Player} player
+ * @example showHelpMenu(player);
+ */
+function showHelpMenu(player) {
+  const commands = CommandBuild.getAvailable(player);
+  const menu = new ActionForm();
+  menu.setTitle("Commands");
+  menu.setBody("Tap a command to see how to use it");
+  for (const command of commands)
+    menu.addButton(`${CommandBuild.prefix}${command.name}`);
+  menu.send(player.name, (res) => {
+    if (res.isCanceled || !commands[res.selection]) return;
+    const details = new ActionForm();
+    details.setTitle(`${CommandBuild.prefix}${commands[res.selection].name}`);
+    details.setBody(
+      CommandBuild.getHelp(commands[res.selection], player).join("\n")
+    );
+    details.addButton("Back");
+    details.send(player.name, (res) => {
+      if (!res.isCanceled) showHelpMenu(player);
+    });
+  });
+}
+
+CommandBuild.register(
+  {
+    name: "help",
+    aliases: ["?"],
+    cancelMessage: true,
+    description: "List the commands you can use or show how to use one",
+    usage: "help [page | command]",
+    example: "help eco give",
+    args: [{ name: "query", type: "greedy", optional: true }],
+  },
+  (data, { query }) => {
+    const commands = CommandBuild.getAvailable(data.sender);
+    if (query && !/^\d+$/.test(query)) {
+      const [name, ...args] = CommandBuild.parseArguments(query);
+      const root = CommandBuild.getRegistration(name);
+      if (!root || !commands.includes(root)) {
+        const matches = CommandBuild.complete(name, data.sender);
+        return tell(
+          data.sender,
+          matches.length
+            ? `§eCommands starting with "${name}": §r${matches.join(", ")}`
+            : `§cUnknown command "${name}"`
+        );
+      }
+      const { command, path } = CommandBuild.resolve(root, args);
+      if (!CommandBuild.canRun(data.sender, path))
+        return tell(data.sender, `§cUnknown command "${query}"`);
+      return tell(
+        data.sender,
+        CommandBuild.getHelp(command, data.sender).join("\n")
+      );
+    }
+    const pages = Math.max(Math.ceil(commands.length / HELP_PAGE_SIZE), 1);
+    const page = Math.min(Math.max(parseInt(query ?? "1"), 1), pages);
+    tell(
+      data.sender,
+      [
+        `§e--- Commands (page ${page} of ${pages}) ---`,
+        ...commands
+          .slice((page - 1) * HELP_PAGE_SIZE, page * HELP_PAGE_SIZE)
+          .map(
+            (command) =>
+              `§e${CommandBuild.prefix}${command.name}§r ${
+                command.description ?? ""
+              }`
+          ),
+        page < pages
+          ? `§7Type ${CommandBuild.prefix}help ${page + 1} for the next page`
+          : `§7Type ${CommandBuild.prefix}help <command> for details`,
+      ].join("\n")
+    );
+  }
+);
+
+CommandBuild.register(
+  {
+    name: "commands",
+    aliases: ["cmds"],
+    cancelMessage: true,
+    description: "Open a menu of the commands you can use",
+    usage: "commands",
+  },
+  (data) => showHelpMenu(data.sender)
+);
+
+/**
+ * How many audit log entries are shown on each page
+ * @type {number}
+ */
+const AUDIT_PAGE_SIZE = 7;
+
+/**
+ * How many audit log entries the menu shows on each page
+ * @type {number}
+ */
+const AUDIT_MENU_SIZE = 20;
+
+/**
+ * Read the filters and page typed after the audit command
+ * @param {string} [text] Like "player:notbeer command:eco 2"
+ * @returns {{ filter: { player?: string, command?: string }, page: number }}
+ */
+function parseAuditFilters(text = "") {
+  const filter = {};
+  let page = 1;
+  for (const arg of CommandBuild.parseArguments(text)) {
+    const [key, ...value] = arg.split(":");
+    if (/^\d+$/.test(arg)) page = parseInt(arg);
+    else if (key === "player" || key === "command")
+      filter[key] = value.join(":");
+  }
+  if (filter.command) {
+    const [name, ...path] = filter.command.split(" ");
+    filter.command = [
+      CommandBuild.getRegistration(name)?.name ?? name,
+      ...path,
+    ].join(" ");
+  }
+  return { filter, page };
+}
+
+/**
+ * Show a player a page of the audit log as a menu, tapping an entry shows all of it
+ * @param {Player} player
+ * @param {Array<auditEntry>} entries
+ * @param {number} [page]
+ */
+function showAuditMenu(player, entries, page = 1) {
+  const pages = Math.max(Math.ceil(entries.length / AUDIT_MENU_SIZE), 1);
+  page = Math.min(Math.max(page, 1), pages);
+  const shown = entries.slice(
+    (page - 1) * AUDIT_MENU_SIZE,
+    page * AUDIT_MENU_SIZE
+  );
+  const menu = new ActionForm();
+  menu.setTitle(`Audit log (${page} of ${pages})`);
+  menu.setBody(entries.length ? "Newest first" : "No entries found");
+  for (const entry of shown)
+    menu.addButton(
+      `${entry.player}: ${CommandBuild.prefix}${entry.command}\n§8${entry.result}`
+    );
+  if (page > 1) menu.addButton("Previous page");
+  if (page < pages) menu.addButton("Next page");
+  menu.send(player.name, (res) => {
+    if (res.isCanceled) return;
+    if (!shown[res.selection])
+      return showAuditMenu(
+        player,
+        entries,
+        res.selection === shown.length && page > 1 ? page - 1 : page + 1
+      );
+    const details = new ActionForm();
+    details.setTitle("Audit entry");
+    details.setBody(AuditBuild.format(shown[res.selection]));
+    details.addButton("Back");
+    details.send(player.name, (res) => {
+      if (!res.isCanceled) showAuditMenu(player, entries, page);
+    });
+  });
+}
+
+CommandBuild.register(
+  {
+    name: "audit",
+    cancelMessage: true,
+    description: "Look through the log of commands players have run",
+    usage: "audit [menu] [player:<name>] [command:<name>] [page]",
+    example: "audit player:notbeer command:eco 2",
+    permission: "audit.view",
+    args: [{ name: "filters", type: "greedy", optional: true }],
+    subcommands: [
+      {
+        name: "menu",
+        description: "Look through the audit log in a menu",
+        args: [{ name: "filters", type: "greedy", optional: true }],
+        callback: (data, { filters }) =>
+          showAuditMenu(
+            data.sender,
+            AuditBuild.query(parseAuditFilters(filters).filter)
+          ),
+      },
+    ],
+  },
+  (data, { filters }) => {
+    const { filter, page } = parseAuditFilters(filters);
+    const entries = AuditBuild.query(filter);
+    const pages = Math.max(Math.ceil(entries.length / AUDIT_PAGE_SIZE), 1);
+    const shown = Math.min(Math.max(page, 1), pages);
+    tell(
+      data.sender,
+      [
+        `§e--- Audit log (page ${shown} of ${pages}) ---`,
+        ...entries
+          .slice((shown - 1) * AUDIT_PAGE_SIZE, shown * AUDIT_PAGE_SIZE)
+          .map((entry) => AuditBuild.format(entry)),
+        entries.length ? "" : "§7No entries found",
+      ]
+        .filter((line) => line)
+        .join("\n")
+    );
+  }
+);
+
+/**
+ * Where a built message can be shown
+ * @typedef {"chat" | "title" | "subtitle" | "actionbar"} messageType
+ */
+
+/**
+ * Turn a target into a selector, "tag:<name>" targets every player with
+ * that tag and anything else that does not start with @ is a player name
+ * @param {string | Player} target
+ * @returns {string}
+ * @example messageTarget('tag:staff'); // '@a[tag="staff"]'
+ */
+function messageTarget(target) {
+  if (typeof target !== "string") return JSON.stringify(target.name);
+  if (target.startsWith("@")) return target;
+  if (target.startsWith("tag:"))
+    return `@a[tag=${JSON.stringify(target.slice(4))}]`;
+  return JSON.stringify(target);
+}
+
+/**
+ * @class Builds a rawtext message out of parts and sends it to players
+ * @example new MessageBuilder()
+ *   .text('You have ')
+ *   .score('@s', 'Money')
+ *   .text(' coins')
+ *   .send('tag:staff', 'actionbar');
+ */
+export class MessageBuilder {
+  constructor() {
+    /**
+     * The rawtext parts of the message
+     * @type {Array<Object>}
+     */
+    this.rawtext = [];
+  }
+  /**
+   * Add plain text
+   * @param {string} text
+   * @returns {MessageBuilder}
+   */
+  text(text) {
+    this.rawtext.push({ text: String(text) });
+    return this;
+  }
+  /**
+   * Add a lang code, translated on each player's game
+   * @param {string} key The lang code
+   * @param {Array<any>} [args] Values put in for %s in the translation
+   * @returns {MessageBuilder}
+   */
+  translate(key, args = []) {
+    this.rawtext.push(
+      args.length
+        ? { translate: key, with: args.map(String) }
+        : { translate: key }
+    );
+    return this;
+  }
+  /**
+   * Add the score of a player or entity
+   * @param {string} name Player name or selector, like "@s" for whoever reads it
+   * @param {string} objective
+   * @returns {MessageBuilder}
+   */
+  score(name, objective) {
+    this.rawtext.push({ score: { name, objective } });
+    return this;
+  }
+  /**
+   * Add the names of the entities a selector finds
+   * @param {string} selector
+   * @returns {MessageBuilder}
+   */
+  selector(selector) {
+    this.rawtext.push({ selector });
+    return this;
+  }
+  /**
+   * The message as rawtext JSON
+   * @returns {string}
+   */
+  toString() {
+    return JSON.stringify({ rawtext: this.rawtext });
+  }
+  /**
+   * Send the message
+   * @param {string | Player} [target] "@a", a selector, a player or their name, or "tag:<name>"
+   * @param {messageType} [type] Where the message is shown
+   * @returns {any} The command result, { error: true } if it failed
+   * @example send('notbeer', 'title');
+   */
+  send(target = "@a", type = "chat") {
+    const selector = messageTarget(target);
+    return runCommand(
+      type === "chat"
+        ? `tellraw ${selector} ${this}`
+        : `titleraw ${selector} ${type} ${this}`
+    );
+  }
+}
+
+/**
+ * Broadcast a message in chat
+ * @param {string} text Message or a lang code
+ * @param {string | Player} [player] Player you want to broadcast to, or any target MessageBuilder.send takes
+ * @param {Array<string>} [args] lang arguments
+ * @returns {any} For commands that return data, returns a JSON structure with command response values.
+ * @example broadcast('Hello World!');
+ */
+export function broadcast(text, player, args = []) {
+  return new MessageBuilder()
+    .translate(text, args.map(String).filter((n) => n))
+    .send(player ?? "@a");
+}
+
+  /**
+   * Run an array of commands
+   * @param {Array<string>} commands Put '%' before your commands. It will make it so it only executes if all the commands thta came before it executed successfully!
+   * @returns {{ error: boolean }}
+   * @example runCommands([
+   * 'clear "a1Piolpolars" diamond 0 0',
+   * '%say a1Piolpolars has a Diamond!'
+   * ]);
+   */
+//CHAT
+/**
+ * The table chat settings are saved in
+ * @type {string}
+ */
+const CHAT_TABLE = "chat";
+
+/**
+ * The chat template used until one is set in game
+ * @type {string}
+ */
+const DEFAULT_CHAT_TEMPLATE = "{channel}{rank} §7{name}:§r {message}";
+
+/**
+ * Finds {name} and {name:argument} placeholders in a chat template
+ * @type {RegExp}
+ */
+const PLACEHOLDER = /\{(\w+)(?::([^{}]*))?\}/g;
+
+export class ChatFormatter {
+  constructor() {
+    /**
+     * Placeholders by name, given the player and the text after the colon
+     * @type {Map<string, (player: Player, argument?: string) => string>}
+     */
+    this.placeholders = new Map();
+  }
+  /**
+   * The table chat settings are saved in, made the first time it is needed
+   * @returns {Database}
+   */
+  get table() {
+    return (this._table ??= new Database(CHAT_TABLE, { cache: true }));
+  }
+  /**
+   * The template chat messages are written with
+   * @returns {string}
+   */
+  get template() {
+    return this.table.get("template") ?? DEFAULT_CHAT_TEMPLATE;
+  }
+  set template(template) {
+    this.table.set("template", template);
+  }
+  /**
+   * Add a placeholder chat templates can use
+   * @param {string} name The name used in the template, like "money" for {money}
+   * @param {(player: Player, argument?: string) => any} resolve Gets the text
+   * for a player, with the text after the colon when written like {name:argument}
+   * @example ChatFormatBuild.registerPlaceholder('health', (player) => player.getComponent('health').current);
+   */
+  registerPlaceholder(name, resolve) {
+    this.placeholders.set(name.toLowerCase(), resolve);
+  }
+  /**
+   * Write a chat message with the template. Text in the message is never
+   * read as a placeholder
+   * @param {Player} player The player that sent the message
+   * @param {string} message
+   * @param {string} [template]
+   * @returns {string}
+   * @example format(player, 'Hello!');
+   */
+  format(player, message, template = this.template) {
+    return template.replace(PLACEHOLDER, (match, name, argument) => {
+      if (name.toLowerCase() === "message") return message;
+      const resolve = this.placeholders.get(name.toLowerCase());
+      if (!resolve) return match;
+      try {
+        return String(resolve(player, argument) ?? "");
+      } catch (error) {
+        console.warn(`${error} : ${error.stack}`);
+        return "";
+      }
+    });
+  }
+}
+export const ChatFormatBuild = new ChatFormatter();
+
+ChatFormatBuild.registerPlaceholder("rank", (player) =>
+  RankBuild.format(player)
+);
+ChatFormatBuild.registerPlaceholder("name", (player) => player.name);
+ChatFormatBuild.registerPlaceholder(
+  "dimension",
+  (player) => player.dimension?.id?.replace("minecraft:", "") ?? ""
+);
+ChatFormatBuild.registerPlaceholder("score", (player, objective) =>
+  PlayerBuild.getScore(objective, player.name)
+);
+
+CommandBuild.register(
+  {
+    name: "chatformat",
+    cancelMessage: true,
+    description: "Show or change the template chat messages are written with",
+    usage: "chatformat [template | reset]",
+    example: "chatformat {rank} §7{name}§r: {message}",
+    permission: "chat.format",
+    args: [{ name: "template", type: "greedy", optional: true }],
+  },
+  (data, { template }) => {
+    if (!template)
+      return tell(
+        data.sender,
+        `§eChat template: §r${
+          ChatFormatBuild.template
+        }\n§7Placeholders: ${["message", ...ChatFormatBuild.placeholders.keys()]
+          .map((name) => `{${name}}`)
+          .join(", ")}`
+      );
+    if (template === "reset") ChatFormatBuild.table.delete("template");
+    else ChatFormatBuild.template = template;
+    tell(
+      data.sender,
+      `§aChat now looks like: §r${ChatFormatBuild.format(data.sender, "Hello!")}`
+    );
+  }
+);
+
+/**
+ * Players with this tag skip chat moderation
+ * @type {string}
+ */
+const MODERATION_EXEMPT_TAG = "staff";
+
+/**
+ * The table mutes are saved in, by player id
+ * @type {string}
+ */
+const MUTE_TABLE = "mutes";
+
+/**
+ * The table moderation settings are saved in
+ * @type {string}
+ */
+const MODERATION_TABLE = "moderation";
+
+/**
+ * How long the same message can't be sent again, in milliseconds
+ * @type {number}
+ */
+const REPEAT_WINDOW = 30000;
+
+/**
+ * Messages with fewer letters than this are never caps spam
+ * @type {number}
+ */
+const CAPS_MIN_LETTERS = 8;
+
+/**
+ * The part of the letters that can be capitals before a message is caps spam
+ * @type {number}
+ */
+const CAPS_MAX_RATIO = 0.7;
+
+/**
+ * @typedef {Object} muteRecord
+ * @property {string} name Name of the player when they were muted
+ * @property {string} reason
+ * @property {string} by Name of who muted them
+ * @property {number | null} until When the mute ends, null if it never does
+ */
+
+export class ChatModerator {
+  constructor() {
+    /**
+     * The last message of each player by id, for slowmode and repeats
+     * @type {Map<string, { text: string, time: number }>}
+     */
+    this.lastMessages = new Map();
+  }
+  /**
+   * The table of mutes, made the first time it is needed
+   * @returns {Database}
+   */
+  get mutes() {
+    return (this._mutes ??= new Database(MUTE_TABLE, { cache: true }));
+  }
+  /**
+   * The table of settings, made the first time it is needed
+   * @returns {Database}
+   */
+  get settings() {
+    return (this._settings ??= new Database(MODERATION_TABLE, { cache: true }));
+  }
+  /**
+   * Mute a player, the mute ends by itself when a duration is given
+   * @param {string} id The persistent id of the player
+   * @param {Object} mute
+   * @param {string} mute.name Name of the player
+   * @param {string} [mute.reason]
+   * @param {string} [mute.by] Name of who muted them
+   * @param {number} [mute.duration] Milliseconds until the mute ends
+   * @example mute(PlayerDatabase.getId(player), { name: player.name, duration: 600000 });
+   */
+  mute(id, { name, reason = "No reason given", by = "Server", duration }) {
+    /** @type {muteRecord} */
+    const record = {
+      name,
+      reason,
+      by,
+      until: duration ? Date.now() + duration : null,
+    };
+    this.mutes.set(id, record, duration ? { ttl: duration } : {});
+  }
+  /**
+   * End the mute of a player
+   * @param {string} id The persistent id of the player
+   * @returns {boolean} If they were muted
+   */
+  unmute(id) {
+    return this.mutes.delete(id);
+  }
+  /**
+   * Get the mute of a player
+   * @param {string} id The persistent id of the player
+   * @returns {muteRecord | undefined}
+   */
+  getMute(id) {
+    return this.mutes.get(id);
+  }
+  /**
+   * Get the slowmode of a player in milliseconds. Slowmodes set for their
+   * ranks are used over the global one, the shortest when they have a few
+   * @param {Player} player
+   * @returns {number}
+   */
+  getSlowmode(player) {
+    const ranks = this.settings.get("rankSlowmode") ?? {};
+    const times = RankBuild.getRanks(player)
+      .map((rank) => ranks[rank.id])
+      .filter((time) => time !== undefined);
+    return times.length
+      ? Math.min(...times)
+      : this.settings.get("slowmode") ?? 0;
+  }
+  /**
+   * Set the slowmode for everyone or for a rank
+   * @param {number} time Milliseconds between messages, 0 turns it off
+   * @param {string} [rank] The rank id, everyone if not given
+   * @example setSlowmode(5000);
+   */
+  setSlowmode(time, rank) {
+    if (!rank) return this.settings.set("slowmode", time);
+    const ranks = this.settings.get("rankSlowmode") ?? {};
+    if (time) ranks[rank.toLowerCase()] = time;
+    else delete ranks[rank.toLowerCase()];
+    this.settings.set("rankSlowmode", ranks);
+  }
+  /**
+   * The words the filter looks for
+   * @returns {Array<string>}
+   */
+  get words() {
+    return this.settings.get("words") ?? [];
+  }
+  set words(words) {
+    this.settings.set("words", words);
+  }
+  /**
+   * If filtered words block the message or are masked with *
+   * @returns {"block" | "mask"}
+   */
+  get filterMode() {
+    return this.settings.get("filterMode") ?? "mask";
+  }
+  set filterMode(mode) {
+    this.settings.set("filterMode", mode);
+  }
+  /**
+   * Check a chat message against mutes, slowmode, spam and the word filter
+   * @param {Player} player The player that sent the message
+   * @param {string} message
+   * @returns {{ message?: string, error?: string }} The message to send, it
+   * can be masked, or why it was blocked
+   * @example check(player, 'Hello!');
+   */
+  check(player, message) {
+    if (player.hasTag(MODERATION_EXEMPT_TAG)) return { message };
+    const id = PlayerDatabase.getId(player);
+    const mute = this.getMute(id);
+    if (mute)
+      return {
+        error: `§cYou are muted${
+          mute.until ? ` for ${formatDuration(mute.until - Date.now())}` : ""
+        }: ${mute.reason}`,
+      };
+    const now = Date.now();
+    const last = this.lastMessages.get(id);
+    const slowmode = this.getSlowmode(player);
+    if (last && now - last.time < slowmode)
+      return {
+        error: `§cSlowmode is on, you can chat again in ${formatDuration(
+          slowmode - (now - last.time)
+        )}`,
+      };
+    const text = message.trim().toLowerCase();
+    if (last && last.text === text && now - last.time < REPEAT_WINDOW)
+      return { error: "§cYou already sent that message" };
+    const letters = message.replace(/[^a-z]/gi, "");
+    if (
+      letters.length >= CAPS_MIN_LETTERS &&
+      letters.replace(/[^A-Z]/g, "").length / letters.length > CAPS_MAX_RATIO
+    )
+      return { error: "§cPlease don't use so many capital letters" };
+    const words = this.words;
+    if (words.length) {
+      const filter = new RegExp(
+        `\\b(${words
+          .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+          .join("|")})\\b`,
+        "gi"
+      );
+      if (filter.test(message)) {
+        if (this.filterMode === "block")
+          return { error: "§cYour message has a word that is not allowed" };
+        message = message.replace(filter, (word) => "*".repeat(word.length));
+      }
+    }
+    this.lastMessages.set(id, { text, time: now });
+    return { message };
+  }
+}
+export const ModerationBuild = new ChatModerator();
+
+world.events.playerLeave.subscribe(({ playerName }) => {
+  const id = PlayerDatabase.resolve(playerName);
+  if (id) ModerationBuild.lastMessages.delete(id);
+});
+
+/**
+ * Find the id of a player for the moderation commands, online or not
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+function findModerationTarget(name) {
+  const player = PlayerBuild.fetch(name);
+  return player ? PlayerDatabase.getId(player) : PlayerDatabase.resolve(name);
+}
+
+CommandBuild.register(
+  {
+    name: "mute",
+    cancelMessage: true,
+    description: "Stop a player from chatting, for a time or until unmuted",
+    usage: "mute <player> [time | perm] [reason]",
+    example: "mute notbeer 10m spamming",
+    permission: "moderation.mute",
+    args: [
+      { name: "player", type: "string" },
+      { name: "time", type: "string", default: "perm" },
+      { name: "reason", type: "greedy", optional: true },
+    ],
+  },
+  (data, { player, time, reason }) => {
+    const id = findModerationTarget(player);
+    if (!id) return tell(data.sender, `§c"${player}" has never joined`);
+    const duration = time === "perm" ? undefined : parseDuration(time);
+    if (time !== "perm" && !duration)
+      return tell(
+        data.sender,
+        `§c"${time}" is not a time like 30s, 10m or 1d`
+      );
+    ModerationBuild.mute(id, {
+      name: player,
+      reason,
+      by: data.sender.name,
+      duration,
+    });
+    tell(
+      data.sender,
+      `§aMuted ${player}${duration ? ` for ${formatDuration(duration)}` : ""}`
+    );
+  }
+);
+
+CommandBuild.register(
+  {
+    name: "unmute",
+    cancelMessage: true,
+    description: "Let a muted player chat again",
+    usage: "unmute <player>",
+    permission: "moderation.mute",
+    args: [{ name: "player", type: "string" }],
+  },
+  (data, { player }) => {
+    const id = findModerationTarget(player);
+    tell(
+      data.sender,
+      id && ModerationBuild.unmute(id)
+        ? `§aUnmuted ${player}`
+        : `§c${player} is not muted`
+    );
   }
+);
 
-  get SCOREBOARD_DATA() {
-    return world.getDimension("overworld").runCommand(`scoreboard players list`)
-      .statusMessage;
+CommandBuild.register(
+  {
+    name: "slowmode",
+    cancelMessage: true,
+    description: "Set how long players wait between messages, 0 turns it off",
+    usage: "slowmode <time | 0> [rank]",
+    example: "slowmode 5s member",
+    permission: "moderation.slowmode",
+    args: [
+      { name: "time", type: "string" },
+      { name: "rank", type: "string", optional: true },
+    ],
+  },
+  (data, { time, rank }) => {
+    const duration = time === "0" ? 0 : parseDuration(time);
+    if (duration === undefined)
+      return tell(data.sender, `§c"${time}" is not a time like 5s or 1m`);
+    if (rank && !RankBuild.get(rank))
+      return tell(data.sender, `§cThere is no rank "${rank}"`);
+    ModerationBuild.setSlowmode(duration, rank);
+    tell(
+      data.sender,
+      `§aSlowmode${rank ? ` for ${rank}` : ""} is now ${
+        duration ? formatDuration(duration) : "off"
+      }`
+    );
   }
+);
 
-  get SAVE_NAMES() {
-    try {
-      const command = world
-        .getDimension("overworld")
-        .runCommand(
-          `scoreboard players test "DB_SAVE" "${this.TABLE_NAME}" * *`
-        );
-      return parseInt(command.statusMessage.split(" ")[1]);
-    } catch (error) {
-      return 0;
-    }
+CommandBuild.register(
+  {
+    name: "filter",
+    cancelMessage: true,
+    description: "Change the words the chat filter blocks or masks",
+    permission: "moderation.filter",
+    subcommands: [
+      {
+        name: "add",
+        description: "Add a word to the filter",
+        args: [{ name: "word", type: "string" }],
+        callback: (data, { word }) => {
+          const words = ModerationBuild.words;
+          if (!words.includes(word.toLowerCase()))
+            ModerationBuild.words = [...words, word.toLowerCase()];
+          tell(data.sender, `§aAdded "${word}" to the filter`);
+        },
+      },
+      {
+        name: "remove",
+        description: "Remove a word from the filter",
+        args: [{ name: "word", type: "string" }],
+        callback: (data, { word }) => {
+          const words = ModerationBuild.words;
+          if (!words.includes(word.toLowerCase()))
+            return tell(data.sender, `§c"${word}" is not in the filter`);
+          ModerationBuild.words = words.filter(
+            (filtered) => filtered !== word.toLowerCase()
+          );
+          tell(data.sender, `§aRemoved "${word}" from the filter`);
+        },
+      },
+      {
+        name: "list",
+        description: "List the words in the filter",
+        callback: (data) =>
+          tell(
+            data.sender,
+            `§eFiltered words (${ModerationBuild.filterMode}): §r${
+              ModerationBuild.words.join(", ") || "§7none"
+            }`
+          ),
+      },
+      {
+        name: "mode",
+        description: "Block messages with filtered words or mask the words",
+        args: [{ name: "mode", type: "enum", values: ["block", "mask"] }],
+        callback: (data, { mode }) => {
+          ModerationBuild.filterMode = mode;
+          tell(data.sender, `§aFiltered words are now ${mode}ed`);
+        },
+      },
+    ],
   }
+);
 
-  set SAVE_NAMES(value) {
-    world
-      .getDimension("overworld")
-      .runCommand(
-        `scoreboard players set "DB_SAVE" "${this.TABLE_NAME}" ${value}`
-      );
+/**
+ * The table the channels of each player are saved in, by player id
+ * @type {string}
+ */
+const CHANNEL_TABLE = "chatChannels";
+
+/**
+ * The channel every player is in and chats in until they switch
+ * @type {string}
+ */
+const DEFAULT_CHANNEL = "global";
+
+/**
+ * The tag prefix of the team a player is on, for team chat
+ * @type {string}
+ */
+const TEAM_TAG = "team:";
+
+/**
+ * How many blocks away local chat reaches
+ * @type {number}
+ */
+const LOCAL_CHAT_RADIUS = 64;
+
+/**
+ * @typedef {Object} chatChannel
+ * @property {string} name Shown before messages sent in the channel
+ * @property {string} [permission] Needed to join the channel
+ * @property {(player: Player) => boolean} [canJoin] If a player can join the channel
+ * @property {(sender: Player, player: Player) => boolean} [reaches] If a
+ * message from the sender reaches a player that joined the channel
+ */
+
+/**
+ * @typedef {Object} channelState
+ * @property {string} active The channel the player chats in
+ * @property {Array<string>} joined The channels the player gets messages from
+ * @property {boolean} spy If the player sees every channel and private message
+ */
+
+export class ChannelBuilder {
+  constructor() {
+    /**
+     * Channels by id
+     * @type {Map<string, chatChannel>}
+     */
+    this.channels = new Map();
+    /**
+     * Who each player last sent or got a private message from, by player id
+     * @type {Map<string, string>}
+     */
+    this.replies = new Map();
   }
   /**
-   * Gets the database from the world
-   * @returns {JSON}
+   * The table of the channels of each player, made the first time it is needed
+   * @returns {Database}
    */
-  get data() {
-    try {
-      const data = this.MEMORY.map((a) => binaryToText(a.data));
-      return JSON.parse(data.join(""));
-    } catch (error) {
-      return {};
-    }
+  get table() {
+    return (this._table ??= new Database(CHANNEL_TABLE, { cache: true }));
   }
-
   /**
-   * Saves local memory data to database
-   * @param {JSON} json value to save to DB
+   * Add a channel players can join
+   * @param {string} id
+   * @param {chatChannel} channel
+   * @example register('builders', { name: '§6Builders', permission: 'channel.builders' });
    */
-  save(json) {
-    const SPLIT_DATA = chunkString(
-      JSON.stringify(json),
-      MAX_DATABASE_STRING_SIZE
-    );
-    this.wipe();
-    for (const [index, chunk] of SPLIT_DATA.entries()) {
-      const name = `DB_${this.TABLE_NAME}_${index}`;
-      this.SAVE_NAMES = index;
-      const data = textToBinary(chunk);
-      this.MEMORY.push({
-        index: index,
-        data: data,
-      });
-      runCommand(`scoreboard objectives add ${name} dummy`);
-      runCommand(`scoreboard players set "${name}(${data})" ${name} 0`);
-    }
-  }
-
-  get(key) {
-    const data = this.data;
-    return data[key];
+  register(id, channel) {
+    this.channels.set(id.toLowerCase(), channel);
   }
-
-  set(key, value) {
-    let data = this.data;
-    data[key] = value;
-    this.save(data);
+  /**
+   * Get the channels a player has joined, the one they chat in and if they spy
+   * @param {Player} player
+   * @param {Object<string, channelState>} [states] The channel table, already
+   * read, when looking up many players at once
+   * @returns {channelState}
+   */
+  getState(player, states) {
+    const id = PlayerDatabase.getId(player);
+    const state = (states ? states[id] : this.table.get(id)) ?? {};
+    const joined = (state.joined ?? []).filter((id) => this.channels.has(id));
+    return {
+      active: joined.includes(state.active) ? state.active : DEFAULT_CHANNEL,
+      joined: joined.includes(DEFAULT_CHANNEL)
+        ? joined
+        : [DEFAULT_CHANNEL, ...joined],
+      spy: state.spy ?? false,
+    };
   }
   /**
-   * Check if the key exists in the table
-   * @param {string} key
-   * @returns {boolean}
-   * @example Database.has('Test Key');
+   * Save part of the channel state of a player
+   * @param {Player} player
+   * @param {Partial<channelState>} changes
    */
-  has(key) {
-    return this.keys().includes(key);
+  setState(player, changes) {
+    this.table.set(PlayerDatabase.getId(player), {
+      ...this.getState(player),
+      ...changes,
+    });
   }
   /**
-   * Delete the key from the table
-   * @param {string} key
-   * @returns {boolean}
-   * @example Database.delete('Test Key');
+   * Join a channel and chat in it
+   * @param {Player} player
+   * @param {string} id The channel id
+   * @returns {string | undefined} Why they could not switch to it
+   * @example switch(player, 'staff');
    */
-  delete(key) {
-    let json = this.data;
-    const status = delete json[key];
-    this.save(json);
-    return status;
+  switch(player, id) {
+    id = id.toLowerCase();
+    const channel = this.channels.get(id);
+    if (!channel) return `There is no channel "${id}"`;
+    if (
+      (channel.permission &&
+        !PermissionBuild.has(player, channel.permission)) ||
+      (channel.canJoin && !channel.canJoin(player))
+    )
+      return `You can't join the channel ${id}`;
+    const { joined } = this.getState(player);
+    this.setState(player, {
+      active: id,
+      joined: joined.includes(id) ? joined : [...joined, id],
+    });
   }
   /**
-   * Returns the number of key/value pairs in the Map object.
-   * @example Database.size()
+   * Leave a channel, chatting goes back to the default channel if it was active
+   * @param {Player} player
+   * @param {string} id The channel id
+   * @returns {boolean} If they were in it
    */
-  size() {
-    return this.keys().length;
+  leave(player, id) {
+    id = id.toLowerCase();
+    const { active, joined } = this.getState(player);
+    if (id === DEFAULT_CHANNEL || !joined.includes(id)) return false;
+    this.setState(player, {
+      active: active === id ? DEFAULT_CHANNEL : active,
+      joined: joined.filter((joinedId) => joinedId !== id),
+    });
+    return true;
   }
   /**
-   * Clear everything in the table
-   * @example Database.clear()
+   * Get the online players a message sent in a channel reaches
+   * @param {Player} sender
+   * @param {string} id The channel id
+   * @param {Object<string, channelState>} [states] The channel table, already read
+   * @returns {Array<Player>}
    */
-  clear() {
-    this.save({});
+  getMembers(sender, id, states = this.table.data) {
+    const channel = this.channels.get(id);
+    return [...world.getPlayers()].filter(
+      (player) =>
+        player.name === sender.name ||
+        (this.getState(player, states).joined.includes(id) &&
+          (!channel.reaches || channel.reaches(sender, player)))
+    );
   }
   /**
-   * Get all the keys in the table
-   * @returns {Array<string>}
-   * @example Database.keys();
+   * Get the online players spying on chat
+   * @param {Object<string, channelState>} [states] The channel table, already read
+   * @returns {Array<Player>}
    */
-  keys() {
-    return Object.keys(this.data);
+  getSpies(states = this.table.data) {
+    return [...world.getPlayers()].filter(
+      (player) =>
+        this.getState(player, states).spy &&
+        PermissionBuild.has(player, "chat.spy")
+    );
   }
   /**
-   * Get all the values in the table
-   * @returns {Array<any>}
-   * @example Database.values();
+   * Send a formatted chat message to the channel the sender chats in, spies
+   * that are not in the channel get it too
+   * @param {Player} sender
+   * @param {string} text The formatted message
+   * @example send(player, ChatFormatBuild.format(player, 'Hello!'));
    */
-  values() {
-    return Object.values(this.data);
+  send(sender, text) {
+    const states = this.table.data;
+    const active = this.getState(sender, states).active;
+    const members = this.getMembers(sender, active, states);
+    for (const member of members) tell(member, text);
+    for (const spy of this.getSpies(states))
+      if (!members.some((member) => member.name === spy.name))
+        tell(spy, `§8[Spy]§r ${text}`);
   }
   /**
-   * Gets all the keys and values
-   * @returns {any}
-   * @example Database.getCollection();
+   * Send a private message, spies get a copy
+   * @param {Player} sender
+   * @param {Player} target
+   * @param {string} message
+   * @example message(player, PlayerBuild.fetch('notbeer'), 'Hello!');
    */
-  getCollection() {
-    return this.data;
+  message(sender, target, message) {
+    tell(sender, `§7[§eyou §7-> §e${target.name}§7]§r ${message}`);
+    tell(target, `§7[§e${sender.name} §7-> §eyou§7]§r ${message}`);
+    this.replies.set(PlayerDatabase.getId(sender), target.name);
+    this.replies.set(PlayerDatabase.getId(target), sender.name);
+    for (const spy of this.getSpies())
+      if (spy.name !== sender.name && spy.name !== target.name)
+        tell(spy, `§8[Spy] ${sender.name} -> ${target.name}:§r ${message}`);
   }
 }
+export const ChannelBuild = new ChannelBuilder();
 
-export class CommandBuilder {
-    constructor() {
-      this.prefix = ".";
-      this._registrationInformation = [];
-    }
-    /**
-     * Register a command with a callback
-     * @param {registerInformation} register An object of information needed to register the custom command
-     * @param {(data: BeforeChatEvent, args: Array<string>) => void} callback Code you want to execute when the command is executed
-     * @example import { Server } from "../../Minecraft";
-     *  Server.commands.register({ name: 'ping' }, (data, args) => {
-     *  Server.broadcast('Pong!', data.sender.nameTag);
-     * });
-     */
-    register(register, callback) {
-      this._registrationInformation.push({
-        private: register.private ? true : false,
-        cancelMessage: register.cancelMessage ? true : false,
-        name: register.name.toLowerCase(),
-        aliases: register.aliases
-          ? register.aliases.map((v) => v.toLowerCase())
-          : null,
-        description: register.description,
-        usage: register.usage,
-        example: register.example ? register.example : null,
-        callback,
-      });
-    }
+ChannelBuild.register(DEFAULT_CHANNEL, { name: "" });
+ChannelBuild.register("staff", {
+  name: "§cStaff",
+  permission: "channel.staff",
+});
+ChannelBuild.register("team", {
+  name: "§9Team",
+  canJoin: (player) => getTagStartsWith(player, TEAM_TAG) !== null,
+  reaches: (sender, player) =>
+    getTagStartsWith(player, TEAM_TAG) === getTagStartsWith(sender, TEAM_TAG),
+});
+ChannelBuild.register("local", {
+  name: "§aLocal",
+  reaches: (sender, player) =>
+    sender.dimension?.id === player.dimension?.id &&
+    Math.hypot(
+      sender.location.x - player.location.x,
+      sender.location.y - player.location.y,
+      sender.location.z - player.location.z
+    ) <= LOCAL_CHAT_RADIUS,
+});
+
+ChatFormatBuild.registerPlaceholder("channel", (player) => {
+  const name = ChannelBuild.channels.get(
+    ChannelBuild.getState(player).active
+  ).name;
+  return name ? `§8[${name}§8]§r ` : "";
+});
+
+world.events.playerLeave.subscribe(({ playerName }) => {
+  const id = PlayerDatabase.resolve(playerName);
+  if (id) ChannelBuild.replies.delete(id);
+});
+
+/**
+ * Send a private message after the same checks as chat
+ * @param {Player} sender
+ * @param {Player} target
+ * @param {string} message
+ */
+function sendPrivateMessage(sender, target, message) {
+  if (target.name === sender.name)
+    return tell(sender, "§cYou can't message yourself");
+  const checked = ModerationBuild.check(sender, message);
+  if (checked.error) return tell(sender, checked.error);
+  ChannelBuild.message(sender, target, checked.message);
+}
+
+CommandBuild.register(
+  {
+    name: "msg",
+    aliases: ["tell", "w", "whisper"],
+    cancelMessage: true,
+    hideArgs: true,
+    description: "Send a private message to a player",
+    example: "msg notbeer Hello!",
+    args: [
+      { name: "player", type: "player" },
+      { name: "message", type: "greedy" },
+    ],
+  },
+  (data, { player, message }) =>
+    sendPrivateMessage(data.sender, player, message)
+);
+
+CommandBuild.register(
+  {
+    name: "r",
+    aliases: ["reply"],
+    cancelMessage: true,
+    hideArgs: true,
+    description: "Reply to the last player you messaged or got a message from",
+    example: "r Hello again!",
+    args: [{ name: "message", type: "greedy" }],
+  },
+  (data, { message }) => {
+    const name = ChannelBuild.replies.get(PlayerDatabase.getId(data.sender));
+    const target = name && PlayerBuild.fetch(name);
+    if (!target)
+      return tell(data.sender, "§cThere is nobody online to reply to");
+    sendPrivateMessage(data.sender, target, message);
+  }
+);
+
+CommandBuild.register(
+  {
+    name: "channel",
+    aliases: ["ch"],
+    cancelMessage: true,
+    description: "Join, leave and switch between chat channels",
+    subcommands: [
+      {
+        name: "switch",
+        aliases: ["join"],
+        description: "Join a channel and chat in it",
+        args: [{ name: "channel", type: "string" }],
+        callback: (data, { channel }) => {
+          const error = ChannelBuild.switch(data.sender, channel);
+          tell(
+            data.sender,
+            error ? `§c${error}` : `§aYou are now chatting in ${channel}`
+          );
+        },
+      },
+      {
+        name: "leave",
+        description: "Stop getting messages from a channel",
+        args: [{ name: "channel", type: "string" }],
+        callback: (data, { channel }) =>
+          tell(
+            data.sender,
+            ChannelBuild.leave(data.sender, channel)
+              ? `§aYou left ${channel}`
+              : `§cYou can't leave ${channel}`
+          ),
+      },
+      {
+        name: "list",
+        description: "List the channels and the ones you are in",
+        callback: (data) => {
+          const { active, joined } = ChannelBuild.getState(data.sender);
+          tell(
+            data.sender,
+            [
+              "§e--- Channels ---",
+              ...[...ChannelBuild.channels.keys()].map(
+                (id) =>
+                  `${id === active ? "§a> " : "§7  "}${id}${
+                    joined.includes(id) ? " §7(joined)" : ""
+                  }`
+              ),
+            ].join("\n")
+          );
+        },
+      },
+    ],
+  }
+);
+
+CommandBuild.register(
+  {
+    name: "spy",
+    cancelMessage: true,
+    description: "See every channel and private message",
+    permission: "chat.spy",
+  },
+  (data) => {
+    const spy = !ChannelBuild.getState(data.sender).spy;
+    ChannelBuild.setState(data.sender, { spy });
+    tell(data.sender, `§aSpy mode is now ${spy ? "on" : "off"}`);
+  }
+);
+
+world.events.beforeChat.subscribe((data) => {
+  if (data.cancel) return;
+  // Messages never go out unchecked, a failed check drops the message
+  data.cancel = true;
+  try {
+    const checked = ModerationBuild.check(data.sender, data.message);
+    if (checked.error) return tell(data.sender, checked.error);
+    const text = ChatFormatBuild.format(data.sender, checked.message);
+    ChannelBuild.send(data.sender, text);
+  } catch (error) {
+    console.warn(`${error}, ${error.stack}`);
+    tell(data.sender, "§cYour message could not be sent");
+  }
+});
+
+
+/**
+ * @typedef {Object} tickTimer
+ * @property {number} id The handle given back when the timer was made
+ * @property {() => void} callback
+ * @property {number} delay Ticks between runs
+ * @property {number} [due] The tick it runs on, set on the first tick after it was made
+ * @property {boolean} loop If it runs again after every delay
+ * @property {string} label Shown with errors the callback throws
+ */
+
+/**
+ * @class Runs every tick timer from one tick event. Timers wait in a queue
+ * ordered by the tick they are due on, so a tick only looks at the timers
+ * that are due
+ */
+class TickScheduler {
+  constructor() {
     /**
-     * Get a list of registered commands
-     * @returns {Array<string>}
-     * @example get();
+     * Timers that have not been cleared, by id
+     * @type {Map<number, tickTimer>}
      */
-    get() {
-      const commands = [];
-      this._registrationInformation.forEach((element) => {
-        if (element.private) return;
-        commands.push(element.name);
-      });
-      return commands;
-    }
+    this.timers = new Map();
     /**
-     * Get all the registered informations
-     * @returns {Array<storedRegisterInformation>}
-     * @example getAllRegistration();
+     * Min heap of timers by due tick, then by id so timers due on the same
+     * tick run in the order they were made
+     * @type {Array<tickTimer>}
      */
-    getAllRegistation() {
-      return this._registrationInformation;
-    }
+    this.queue = [];
     /**
-     * Get registration information on a specific command
-     * @param name The command name or alias you want to get information on
-     * @returns {storedRegisterInformation}
-     * @example getRegistration('ping');
+     * Timers made since the last tick, they get a due tick on the next one
+     * @type {Array<tickTimer>}
      */
-    getRegistration(name) {
-      const command = this._registrationInformation.some(
-        (element) =>
-          element.name.toLowerCase() === name ||
-          (element.aliases && element.aliases.includes(name))
-      );
-      if (!command) return;
-      let register;
-      this._registrationInformation.forEach((element) => {
-        if (element.private) return;
-        const eachCommand =
-          element.name.toLowerCase() === name ||
-          (element.aliases && element.aliases.includes(name));
-        if (!eachCommand) return;
-        register = element;
-      });
-      return register;
-    }
+    this.pending = [];
+    this.nextId = 1;
+    world.events.tick.subscribe(({ currentTick }) => this.run(currentTick));
   }
-  export const CommandBuild = new CommandBuilder();
-  
- /**
-   * Broadcast a message in chat
-   * @param {string} text Message or a lang code
-   * @param {string} player Player you want to broadcast to
-   * @param {Array<string>} with_ lang arguments
-   * @returns {any} For commands that return data, returns a JSON structure with command response values.
-   * @example broadcast('Hello World!');
-   */
-  broadcast(text, player, args = []); {
-    try {
-      args = args.map(String).filter((n) => n);
-      return SA.build.chat.runCommand(
-        `tellraw ${
-          player ? `"${player}"` : "@a"
-        } {"rawtext":[{"translate":"${text}","with":${JSON.stringify(args)}}]}`
-      );
-    } catch (error) {
-      return { error: true };
+  /**
+   * Add a timer
+   * @param {() => void} callback
+   * @param {number} delay Ticks to wait
+   * @param {boolean} loop If it runs again after every delay
+   * @param {string} [label] Shown with errors the callback throws
+   * @returns {number} The handle to clear it with
+   */
+  add(callback, delay, loop, label) {
+    const timer = {
+      id: this.nextId++,
+      callback,
+      delay,
+      loop,
+      label: label ?? (callback.name || "anonymous"),
+    };
+    this.timers.set(timer.id, timer);
+    this.pending.push(timer);
+    return timer.id;
+  }
+  /**
+   * Stop a timer, it is dropped from the queue when it comes up
+   * @param {number} id
+   */
+  clear(id) {
+    this.timers.delete(id);
+  }
+  /**
+   * If the first timer is due before the second
+   * @param {tickTimer} a
+   * @param {tickTimer} b
+   * @returns {boolean}
+   */
+  before(a, b) {
+    return a.due < b.due || (a.due === b.due && a.id < b.id);
+  }
+  /**
+   * Add a timer to the queue
+   * @param {tickTimer} timer
+   */
+  push(timer) {
+    const queue = this.queue;
+    let index = queue.push(timer) - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.before(queue[index], queue[parent])) break;
+      [queue[index], queue[parent]] = [queue[parent], queue[index]];
+      index = parent;
     }
-
   }
-
   /**
-   * Runs a Command
-   * @param {string} command a minecraft /command
-   * @param {string} dimension: "overworld" | "nether" | "the end"
-   * @param {boolean} debug: true console logs the command, else it runs command
-   * @example runCommand(`say test`)
+   * Take the timer that is due first off the queue
+   * @returns {tickTimer}
    */
-   runCommand(command, dimension = "overworld", debug = false); {
-    try {
-      return debug
-        ? console.warn(JSON.stringify(this.runCommand(command)))
-        : world.getDimension(dimension).runCommand(command);
-    } catch (error) {
-      return { error: true };
+  pop() {
+    const queue = this.queue;
+    const first = queue[0];
+    const last = queue.pop();
+    if (!queue.length) return first;
+    queue[0] = last;
+    let index = 0;
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < queue.length && this.before(queue[left], queue[smallest]))
+        smallest = left;
+      if (right < queue.length && this.before(queue[right], queue[smallest]))
+        smallest = right;
+      if (smallest === index) break;
+      [queue[index], queue[smallest]] = [queue[smallest], queue[index]];
+      index = smallest;
     }
+    return first;
   }
-
   /**
-   * Run an array of commands
-   * @param {Array<string>} commands Put '%' before your commands. It will make it so it only executes if all the commands thta came before it executed successfully!
-   * @returns {{ error: boolean }}
-   * @example runCommands([
-   * 'clear "a1Piolpolars" diamond 0 0',
-   * '%say a1Piolpolars has a Diamond!'
-   * ]);
+   * Run the timers that are due. An error from one callback is logged with
+   * its label and the rest still run
+   * @param {number} tick The current tick
    */
-//RANKS
-   world.events.beforeChat.subscribe((data) => {
-     try {
-       return (
-         (data.cancel = true),
-         world.getDimension("overworld").runCommand(
-           `tellraw @a {"rawtext":[{"text":"§l§8[§r${
-             data.sender
-               .getTags()
-               .find((tag) => tag.startsWith("rank:"))
-               ?.substring(5)
-               ?.replaceAll("--", "§r§l§8][§r") ?? "§aMember"
-           }§l§8]§r §7${data.sender.nameTag}:§r ${data.message}"}]}`
-         )
-       );
-     } catch (error) {
-       return (data.cancel = false), console.warn(`${error}, ${error.stack}`);
-     }
-   });
-
+  run(tick) {
+    for (const timer of this.pending.splice(0)) {
+      if (!this.timers.has(timer.id)) continue;
+      timer.due = tick + timer.delay;
+      this.push(timer);
+    }
+    while (this.queue.length && this.queue[0].due <= tick) {
+      const timer = this.pop();
+      if (this.timers.get(timer.id) !== timer) continue;
+      if (timer.loop) {
+        timer.due = tick + Math.max(timer.delay, 1);
+        this.push(timer);
+      } else this.timers.delete(timer.id);
+      try {
+        timer.callback();
+      } catch (error) {
+        console.warn(`[Timer "${timer.label}"] ${error} : ${error?.stack}`);
+      }
+    }
+  }
+}
+const TickSchedule = new TickScheduler();
 
 /**
  * Register a tick timeout
- * @param {(data: BeforeChatEvent, args: Array<string>) => void} callback Code you want to execute when the command is executed
+ * @param {() => void} callback Code you want to execute when the time is up
  * @param {number} tick time in ticks you want the return to occur
+ * @param {string} [label] Name shown with errors the callback throws, the function name if not given
+ * @returns {number} Handle for clearTickTimeout
  * @example
- *  SA.TickTimeOutBuild.setTickTimeout(function () {
+ *  const timeout = SA.TickTimeOutBuild.setTickTimeout(function () {
  *    console.log(`callback`)
- * });
+ * }, 20, 'hello');
  */
- export function setTickTimeout(callback, tick) {
-    new tickTimeout(callback, tick);
-  }
-  /**
-   * Delay executing a function, REPEATEDLY
-   * @param {(data: BeforeChatEvent, args: Array<string>) => void} callback Code you want to execute when the command is executed
-   * @param {number} tick time in ticks you want the return to occur
-   * @returns {number}
-   */
-  export function setTickInterval(callback, tick) {
-    new tickTimeout(callback, tick, true);
-  }
-  class tickTimeout {
-    /**
-     * Register a timeout
-     * @param {(data: BeforeChatEvent, args: Array<string>) => void} callback Code you want to execute when the command is executed
-     * @param {number} time time in Date want the function to run
-     */
-    constructor(callback, tick, loop = false) {
-      this.tickDelay = tick;
-      this.callbackTick = 0;
-      this.loop = loop;
-  
-      let TickCallBack = world.events.tick.subscribe((data) => {
-        if (this.callbackTick == 0) {
-          this.callbackTick = data.currentTick + this.tickDelay;
-        }
-        try {
-          if (this.callbackTick <= data.currentTick) {
-            // return callback
-            callback();
-            if (this.loop) {
-              this.callbackTick = data.currentTick + this.tickDelay;
-            } else {
-              world.events.tick.unsubscribe(TickCallBack);
-            }
-          }
-        } catch (error) {
-          console.warn(`${error} : ${error.stack}`);
-        }
-      });
-    }
-  }
+export function setTickTimeout(callback, tick, label) {
+  return TickSchedule.add(callback, tick, false, label);
+}
+/**
+ * Delay executing a function, REPEATEDLY
+ * @param {() => void} callback Code you want to execute every time
+ * @param {number} tick time in ticks you want the return to occur
+ * @param {string} [label] Name shown with errors the callback throws, the function name if not given
+ * @returns {number} Handle for clearTickInterval
+ */
+export function setTickInterval(callback, tick, label) {
+  return TickSchedule.add(callback, tick, true, label);
+}
+/**
+ * Stop a tick timeout before it runs
+ * @param {number} id The handle setTickTimeout returned
+ * @example clearTickTimeout(timeout);
+ */
+export function clearTickTimeout(id) {
+  TickSchedule.clear(id);
+}
+/**
+ * Stop a tick interval
+ * @param {number} id The handle setTickInterval returned
+ * @example clearTickInterval(interval);
+ */
+export function clearTickInterval(id) {
+  TickSchedule.clear(id);
+}
 
 /**
  * Returns a location of the inputed aguments
@@ -448,9 +4562,9 @@ export class CommandBuilder {
  * @example parseLocationAugs(["~1", "3", "^7"], { location: [1,2,3] , viewVector: [1,2,3] })
  */
  function parseLocationAugs([x, y, z], { location, viewVector }) {
-    if (!x || !y || !x) return new Error("Undefined Input");
+    if (!x || !y || !z) return new Error("Undefined Input");
     const a = [x, y, z].map((arg) => {
-      const r = parseInt(arg.replace(/\D/g, ""));
+      const r = parseFloat(arg.replace(/[~^]/g, ""));
       return isNaN(r) ? 0 : r;
     });
     const b = [x, y, z].map((arg, index) => {
@@ -463,7 +4577,6 @@ export class CommandBuilder {
     return new Location(b[0], b[1], b[2]);
   }
 
-  import { BlockLocation } from "mojang-minecraft";
   export class PlayerBuilder {
     /**
      * Get list of players in game
@@ -587,11 +4700,6 @@ export class CommandBuilder {
   export const PlayerBuild = new PlayerBuilder();
 
 
-  import {
-    MinecraftEnchantmentTypes,
-    InventoryComponentContainer,
-    EnchantmentList,
-  } from "mojang-minecraft";
   
   /**
    * Minecraft Bedrock Anti Hacked Items
@@ -682,11 +4790,6 @@ export class CommandBuilder {
  
  world.events.playerLeave.subscribe((data) => delete log[data.playerName]);
 
- import {
-    BlockLocation,
-    Location,
-    MinecraftBlockTypes,
-  } from "mojang-minecraft";
   
   /**
    * Minecraft Bedrock Anti Reach
@@ -780,7 +4883,7 @@ export class CommandBuilder {
        Math.abs(player.location.z) > 30000000
      ) {
        player.runCommand(
-         `kick "${player.nameTag}" You have been kicked for trying to "Crash the game", please turn off your hacks!`
+         `kick "${player.name}" You have been kicked for trying to "Crash the game", please turn off your hacks!`
        );
      }
    }
@@ -803,7 +4906,6 @@ export class CommandBuilder {
       } catch (error) {}
     });
   }
-import { Player } from "mojang-minecraft"
 /**
  * Gets the score recorded for {displayName} on {objective}
  * @param {Player} player or entity on the scoreboard
@@ -821,9 +4923,6 @@ import { Player } from "mojang-minecraft"
     }
 }
 
-import { world } from 'mojang-minecraft';
-// @ts-ignore
-import { ActionFormData, MessageFormData, ModalFormData } from 'mojang-minecraft-ui';
 /**
  * Fetch an online players data
  * @param {string} player The player you are looking for
@@ -1051,7 +5150,6 @@ export class ModalForm {
  export const betweenXYZ = (XYZa, XYZb, XYZc) => XYZc.length === XYZc.filter((c, i) => (c >= Math.min(XYZa[i], XYZb[i])) && (c <= Math.max(XYZa[i], XYZb[i]))).length;
 
 
- import { world, EntityQueryOptions, Location, Entity } from "mojang-minecraft";
 
  /**
   * Minecraft Bedrock Mob Stacker
@@ -1194,12 +5292,12 @@ export class ModalForm {
    setStack(newEntity, stack - 1);
  });
  
-  /**
-   * Converts a location to a block location
-   * @param {Location} loc a location to convert
-   * @returns {BlockLocation}
-   */
-   locationToBlockLocation(loc); {
+/**
+ * Converts a location to a block location
+ * @param {Location} loc a location to convert
+ * @returns {BlockLocation}
+ */
+function locationToBlockLocation(loc) {
     return new BlockLocation(
       Math.floor(loc.x),
       Math.floor(loc.y),